@@ -0,0 +1,271 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var formats = require('./formats');
+
+// Apple's Cookies.binarycookies, as written by Safari, WKWebView and
+// NSHTTPCookieStorage on macOS and iOS.  A file is:
+//
+//   "cook", the number of pages and the size of each (big-endian uint32s)
+//   the pages
+//   a checksum (big-endian uint32) and the footer 07 17 20 05 00 00 00 4B
+//   (often followed by a binary plist with the NSHTTPCookieAcceptPolicy)
+//
+// and a page is the header 00 00 01 00, the number of cookies, the offset of
+// each from the start of the page and 00 00 00 00, followed by the cookies,
+// all little-endian.  A cookie record is
+//
+//   0   size          uint32
+//   8   flags         uint32 (1: Secure, 4: HttpOnly)
+//   16  offsets of the domain, name, path and value strings
+//   32  offset of the comment (0 for none) and 4 zero bytes
+//   40  expiry and creation, as float64 seconds since 2001-01-01T00:00:00Z
+//   56  the NUL-terminated strings
+//
+// Domain cookies have a domain with a leading dot and host-only cookies the
+// bare host.  Only persistent cookies are kept in these files.
+
+var MAGIC = 'cook';
+var PAGE_HEADER = 0x100;
+var FOOTER = [0x07, 0x17, 0x20, 0x05, 0x00, 0x00, 0x00, 0x4B];
+var RECORD_HEADER_SIZE = 56;
+
+var FLAG_SECURE = 1;
+var FLAG_HTTP_ONLY = 4;
+
+var MAC_EPOCH = 978307200000; // ms, 2001-01-01T00:00:00Z
+
+// Buffer.alloc() and Buffer.from() aren't in node 0.10
+function allocBuffer(size) {
+  if (Buffer.alloc) {
+    return Buffer.alloc(size);
+  }
+  var buf = new Buffer(size);
+  buf.fill(0);
+  return buf;
+}
+
+function stringBuffer(str) {
+  return Buffer.from && Buffer.from !== Uint8Array.from ?
+    Buffer.from(str, 'utf8') : new Buffer(str, 'utf8');
+}
+
+function truncated() {
+  return new Error('binarycookies file is truncated');
+}
+
+function readString(record, offset) {
+  if (!offset || offset >= record.length) {
+    return '';
+  }
+  var end = offset;
+  while (end < record.length && record[end] !== 0) {
+    end++;
+  }
+  return record.toString('utf8', offset, end);
+}
+
+function pageChecksum(page) {
+  var sum = 0;
+  for (var i = 0; i < page.length; i += 4) {
+    sum += page[i];
+  }
+  return sum;
+}
+
+// Whether the power-of-two flag is set in flags, without bitwise operators
+function hasFlag(flags, flag) {
+  return Math.floor(flags / flag) % 2 === 1;
+}
+
+function parseRecord(record) {
+  if (record.length < RECORD_HEADER_SIZE) {
+    throw truncated();
+  }
+  var flags = record.readUInt32LE(8);
+  var domain = formats.parseDomain(readString(record, record.readUInt32LE(16)));
+  var cookie = {
+    key: readString(record, record.readUInt32LE(20)),
+    value: readString(record, record.readUInt32LE(28)),
+    domain: domain.domain,
+    path: readString(record, record.readUInt32LE(24)) || '/',
+    hostOnly: domain.hostOnly,
+    expires: new Date(record.readDoubleLE(40) * 1000 + MAC_EPOCH).toISOString(),
+    creation: new Date(record.readDoubleLE(48) * 1000 + MAC_EPOCH).toISOString()
+  };
+  if (hasFlag(flags, FLAG_SECURE)) {
+    cookie.secure = true;
+  }
+  if (hasFlag(flags, FLAG_HTTP_ONLY)) {
+    cookie.httpOnly = true;
+  }
+  return cookie;
+}
+
+function parsePage(page) {
+  if (page.length < 8 || page.readUInt32BE(0) !== PAGE_HEADER) {
+    throw new Error('binarycookies page has a bad header');
+  }
+  var count = page.readUInt32LE(4);
+  if (page.length < 8 + 4 * count) {
+    throw truncated();
+  }
+  var cookies = [];
+  for (var i = 0; i < count; i++) {
+    var offset = page.readUInt32LE(8 + 4 * i);
+    if (offset + 4 > page.length) {
+      throw truncated();
+    }
+    var size = page.readUInt32LE(offset);
+    if (offset + size > page.length) {
+      throw truncated();
+    }
+    cookies.push(parseRecord(page.slice(offset, offset + size)));
+  }
+  return cookies;
+}
+
+// Parses a binarycookies Buffer into "raw" cookies, as found in the
+// `cookies` of a serialized CookieJar.  Throws if the file isn't one, is
+// truncated, or its checksum doesn't match.
+function parse(buf) {
+  if (buf.length < 8 || buf.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error('Not a binarycookies file');
+  }
+  var pageCount = buf.readUInt32BE(4);
+  var offset = 8 + 4 * pageCount;
+  if (offset > buf.length) {
+    throw truncated();
+  }
+
+  var cookies = [];
+  var checksum = 0;
+  for (var i = 0; i < pageCount; i++) {
+    var size = buf.readUInt32BE(8 + 4 * i);
+    if (offset + size > buf.length) {
+      throw truncated();
+    }
+    var page = buf.slice(offset, offset + size);
+    checksum += pageChecksum(page);
+    cookies = cookies.concat(parsePage(page));
+    offset += size;
+  }
+
+  if (offset + 4 > buf.length) {
+    throw truncated();
+  }
+  if (buf.readUInt32BE(offset) !== checksum % 0x100000000) {
+    throw new Error('binarycookies checksum does not match');
+  }
+  return cookies;
+}
+
+function formatRecord(cookie) {
+  var strings = [
+    formats.formatDomain(cookie),
+    cookie.key,
+    cookie.path || '/',
+    cookie.value == null ? '' : String(cookie.value)
+  ].map(function(str) {
+    return stringBuffer(str + '\0');
+  });
+
+  var header = allocBuffer(RECORD_HEADER_SIZE);
+  var offset = RECORD_HEADER_SIZE;
+  var offsets = strings.map(function(str) {
+    var start = offset;
+    offset += str.length;
+    return start;
+  });
+  var flags = (cookie.secure ? FLAG_SECURE : 0) + (cookie.httpOnly ? FLAG_HTTP_ONLY : 0);
+  var creation = cookie.creation instanceof Date ? cookie.creation : new Date();
+
+  header.writeUInt32LE(offset, 0);
+  header.writeUInt32LE(flags, 8);
+  offsets.forEach(function(start, i) {
+    header.writeUInt32LE(start, 16 + 4 * i);
+  });
+  header.writeDoubleLE((cookie.expiryTime() - MAC_EPOCH) / 1000, 40);
+  header.writeDoubleLE((creation.getTime() - MAC_EPOCH) / 1000, 48);
+  return Buffer.concat([header].concat(strings));
+}
+
+function formatPage(records) {
+  var header = allocBuffer(12 + 4 * records.length);
+  header.writeUInt32BE(PAGE_HEADER, 0);
+  header.writeUInt32LE(records.length, 4);
+  var offset = header.length;
+  records.forEach(function(record, i) {
+    header.writeUInt32LE(offset, 8 + 4 * i);
+    offset += record.length;
+  });
+  return Buffer.concat([header].concat(records));
+}
+
+// Formats the persistent ones of Cookie objects as a binarycookies Buffer,
+// with a page per domain as Safari does
+function format(cookies) {
+  var domains = [];
+  var byDomain = {};
+  cookies.forEach(function(cookie) {
+    if (!cookie.isPersistent() || !isFinite(cookie.expiryTime())) {
+      return;
+    }
+    var domain = cookie.domain;
+    if (!byDomain.hasOwnProperty(domain)) {
+      byDomain[domain] = [];
+      domains.push(domain);
+    }
+    byDomain[domain].push(formatRecord(cookie));
+  });
+  var pages = domains.map(function(domain) {
+    return formatPage(byDomain[domain]);
+  });
+
+  var header = allocBuffer(8 + 4 * pages.length);
+  header.write(MAGIC, 0, 'ascii');
+  header.writeUInt32BE(pages.length, 4);
+  var checksum = 0;
+  pages.forEach(function(page, i) {
+    header.writeUInt32BE(page.length, 8 + 4 * i);
+    checksum += pageChecksum(page);
+  });
+
+  var trailer = allocBuffer(4 + FOOTER.length);
+  trailer.writeUInt32BE(checksum % 0x100000000, 0);
+  FOOTER.forEach(function(byte, i) {
+    trailer[4 + i] = byte;
+  });
+  return Buffer.concat([header].concat(pages, [trailer]));
+}
+
+exports.parse = parse;
+exports.format = format;
@@ -0,0 +1,194 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var urlParse = require('url').parse;
+var formats = require('./formats');
+
+// The cookie shapes of the Chrome DevTools Protocol, as used by Puppeteer and
+// chrome-remote-interface: Network.Cookie (what Chrome reports) and
+// Network.CookieParam (what Network.setCookies takes).  See
+// https://chromedevtools.github.io/devtools-protocol/tot/Network/#type-Cookie
+//
+// Fields that Cookie doesn't model (sameParty, sourceScheme, sourcePort, the
+// original form of partitionKey and anything newer) are kept in the `cdp`
+// property of the Cookie so that converting back is lossless.
+
+var PRIORITY_CANONICAL = { low: 'Low', medium: 'Medium', high: 'High' };
+
+// fields that are mapped to Cookie properties (or computed from them)
+var MODELED = [
+  'name', 'value', 'url', 'domain', 'path', 'expires', 'size', 'httpOnly',
+  'secure', 'session', 'sameSite', 'priority'
+];
+
+function copySideChannel(cookie, obj) {
+  var side = cookie.cdp || {};
+  Object.keys(side).forEach(function(key) {
+    obj[key] = side[key];
+  });
+  delete obj.partitionKey;
+
+  // the partitionKey is either the site (older Chrome) or an object
+  // {topLevelSite, hasCrossSiteAncestor}; give back the form it came in
+  if (cookie.partitionKey) {
+    var key = side.partitionKey;
+    if ((typeof key === 'string' && key === cookie.partitionKey) ||
+        (key && key.topLevelSite === cookie.partitionKey)) {
+      obj.partitionKey = key;
+    } else {
+      obj.partitionKey = {
+        topLevelSite: cookie.partitionKey,
+        hasCrossSiteAncestor: false
+      };
+    }
+  }
+  return obj;
+}
+
+function expiresSeconds(cookie) {
+  var expiry = cookie.expiryTime();
+  if (expiry === Infinity) {
+    return -1;
+  }
+  return expiry === -Infinity ? 0 : expiry / 1000;
+}
+
+// Turns a Cookie into a Network.Cookie
+function toCDP(cookie) {
+  var value = cookie.value == null ? '' : String(cookie.value);
+  var obj = {
+    name: cookie.key,
+    value: value,
+    domain: formats.formatDomain(cookie),
+    path: cookie.path || '/',
+    expires: expiresSeconds(cookie),
+    size: cookie.key.length + value.length,
+    httpOnly: !!cookie.httpOnly,
+    secure: !!cookie.secure,
+    session: !cookie.isPersistent()
+  };
+  var sameSite = formats.formatSameSite(cookie.sameSite);
+  if (sameSite) {
+    obj.sameSite = sameSite;
+  }
+  obj.priority = PRIORITY_CANONICAL[cookie.priority] || 'Medium';
+  return copySideChannel(cookie, obj);
+}
+
+// Turns a Cookie into a Network.CookieParam.  Giving Chrome a domain makes a
+// domain cookie, so host-only cookies get a url instead.
+function toCDPParam(cookie) {
+  var obj = {
+    name: cookie.key,
+    value: cookie.value == null ? '' : String(cookie.value)
+  };
+  if (cookie.hostOnly) {
+    obj.url = (cookie.secure ? 'https://' : 'http://') + cookie.domain +
+      (cookie.path || '/');
+  } else {
+    obj.domain = formats.formatDomain(cookie);
+  }
+  obj.path = cookie.path || '/';
+  obj.secure = !!cookie.secure;
+  obj.httpOnly = !!cookie.httpOnly;
+  var sameSite = formats.formatSameSite(cookie.sameSite);
+  if (sameSite) {
+    obj.sameSite = sameSite;
+  }
+  if (cookie.isPersistent()) {
+    obj.expires = expiresSeconds(cookie);
+  }
+  obj.priority = PRIORITY_CANONICAL[cookie.priority] || 'Medium';
+  return copySideChannel(cookie, obj);
+}
+
+// Turns a Network.Cookie or Network.CookieParam into the properties of a
+// Cookie
+function fromCDP(obj) {
+  var props = {
+    key: obj.name == null ? '' : String(obj.name),
+    value: obj.value == null ? '' : String(obj.value)
+  };
+
+  if (obj.domain) {
+    var domain = formats.parseDomain(obj.domain);
+    props.hostOnly = domain.hostOnly;
+    props.domain = domain.domain;
+  } else if (obj.url) {
+    var url = urlParse(obj.url);
+    props.hostOnly = true;
+    props.domain = url.hostname;
+    props.path = url.pathname;
+  }
+  if (obj.path) {
+    props.path = obj.path;
+  }
+
+  if (!obj.session && obj.expires != null && obj.expires >= 0) {
+    props.expires = new Date(obj.expires * 1000);
+  }
+  if (obj.httpOnly) {
+    props.httpOnly = true;
+  }
+  if (obj.secure) {
+    props.secure = true;
+  }
+  var sameSite = formats.parseSameSite(obj.sameSite);
+  if (sameSite) {
+    props.sameSite = sameSite;
+  }
+  var priority = String(obj.priority || '').toLowerCase();
+  if (priority === 'low' || priority === 'medium' || priority === 'high') {
+    props.priority = priority;
+  }
+
+  var partitionKey = obj.partitionKey;
+  if (partitionKey) {
+    props.partitioned = true;
+    props.partitionKey = typeof partitionKey === 'string' ?
+      partitionKey : partitionKey.topLevelSite;
+  }
+
+  var side = {};
+  Object.keys(obj).forEach(function(key) {
+    if (MODELED.indexOf(key) === -1) {
+      side[key] = obj[key];
+    }
+  });
+  if (Object.keys(side).length) {
+    props.cdp = side;
+  }
+  return props;
+}
+
+exports.toCDP = toCDP;
+exports.toCDPParam = toCDPParam;
+exports.fromCDP = fromCDP;
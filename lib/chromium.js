@@ -0,0 +1,173 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var crypto = require('crypto');
+var openDatabase = require('./sqlite').openDatabase;
+var formats = require('./formats');
+
+// The `Cookies` SQLite database of a Chromium profile (Chrome, Edge, Brave,
+// Electron...), read with the node:sqlite module of Node.js 22.13+.  See
+// net/extras/sqlite/sqlite_persistent_cookie_store.cc in Chromium.
+
+// Chromium times are microseconds since 1601-01-01T00:00:00Z
+var WINDOWS_EPOCH_OFFSET = 11644473600000; // ms
+
+// net::CookieSameSite, net::CookiePriority and net::CookieSourceScheme
+var SAME_SITE = { '0': 'none', '1': 'lax', '2': 'strict' }; // -1 is unspecified
+var PRIORITY = { '0': 'low', '2': 'high' }; // 1 is medium, the default
+var SOURCE_SCHEME = { '0': 'Unset', '1': 'NonSecure', '2': 'Secure' };
+
+// since version 24 the plaintext of encrypted_value starts with the SHA-256
+// of host_key
+var DOMAIN_HASH_VERSION = 24;
+var DOMAIN_HASH_LENGTH = 32;
+
+function toDate(time) {
+  return new Date(Number(time) / 1000 - WINDOWS_EPOCH_OFFSET);
+}
+
+// The "v10"/"v11" values that Chromium encrypts with a key of 16 bytes
+// (AES-128-CBC on macOS and Linux) or 32 bytes (AES-256-GCM on Windows)
+function decryptValue(encrypted, key) {
+  var data = encrypted.slice(3);
+  var decipher;
+  if (key.length === 16) {
+    decipher = crypto.createDecipheriv('aes-128-cbc', key, Buffer.alloc(16, ' '));
+  } else if (key.length === 32) {
+    var tag = data.slice(data.length - 16);
+    decipher = crypto.createDecipheriv('aes-256-gcm', key, data.slice(0, 12));
+    decipher.setAuthTag(tag);
+    data = data.slice(12, data.length - 16);
+  } else {
+    throw new Error('A Chromium cookie key has 16 or 32 bytes');
+  }
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+function flag(row, name, oldName) {
+  var value = row[name] != null ? row[name] : row[oldName];
+  return !!Number(value);
+}
+
+// Reads the cookies of a Chromium `Cookies` database as "raw" cookies, as
+// found in the `cookies` of a serialized CookieJar.  Encrypted values are
+// decrypted with `options.key` or `options.decrypt(encryptedValue, hostKey)`,
+// which gives back the plaintext as a Buffer.
+function readCookies(path, options) {
+  options = options || {};
+  var db = openDatabase(path, { readOnly: true });
+  var version, rows;
+  try {
+    var meta = db.prepare("SELECT value FROM meta WHERE key = 'version'").get();
+    version = meta ? Number(meta.value) : 0;
+    var select = db.prepare('SELECT * FROM cookies ORDER BY creation_utc');
+    // the times don't fit in a double
+    select.setReadBigInts(true);
+    rows = select.all();
+  } finally {
+    db.close();
+  }
+
+  return rows.map(function(row) {
+    var hostKey = String(row.host_key);
+    var domain = formats.parseDomain(hostKey);
+    var cookie = {
+      key: String(row.name),
+      value: String(row.value),
+      domain: domain.domain,
+      path: String(row.path),
+      hostOnly: domain.hostOnly,
+      creation: toDate(row.creation_utc).toISOString()
+    };
+
+    var encrypted = row.encrypted_value;
+    if (encrypted && encrypted.length) {
+      encrypted = Buffer.from(encrypted);
+      var plain;
+      if (options.decrypt) {
+        plain = Buffer.from(options.decrypt(encrypted, hostKey));
+      } else if (options.key) {
+        plain = decryptValue(encrypted, Buffer.from(options.key));
+      } else {
+        throw new Error('Cookie ' + cookie.key + ' of ' + hostKey +
+                        ' is encrypted; a key or decrypt function is needed');
+      }
+      if (version >= DOMAIN_HASH_VERSION) {
+        plain = plain.slice(DOMAIN_HASH_LENGTH);
+      }
+      cookie.value = plain.toString('utf8');
+    }
+
+    if (flag(row, 'is_persistent', 'has_expires') && Number(row.expires_utc)) {
+      cookie.expires = toDate(row.expires_utc).toISOString();
+    }
+    if (Number(row.last_access_utc)) {
+      cookie.lastAccessed = toDate(row.last_access_utc).toISOString();
+    }
+    if (flag(row, 'is_secure', 'secure')) {
+      cookie.secure = true;
+    }
+    if (flag(row, 'is_httponly', 'httponly')) {
+      cookie.httpOnly = true;
+    }
+    if (row.samesite != null && SAME_SITE[row.samesite]) {
+      cookie.sameSite = SAME_SITE[row.samesite];
+    }
+    if (row.priority != null && PRIORITY[row.priority]) {
+      cookie.priority = PRIORITY[row.priority];
+    }
+
+    // what Cookie doesn't model goes where Cookie.fromCDP() would put it
+    var cdp = {};
+    if (row.source_scheme != null) {
+      cdp.sourceScheme = SOURCE_SCHEME[row.source_scheme] || 'Unset';
+    }
+    if (row.source_port != null) {
+      cdp.sourcePort = Number(row.source_port);
+    }
+    if (row.top_frame_site_key) {
+      cookie.partitioned = true;
+      cookie.partitionKey = String(row.top_frame_site_key);
+      if (row.has_cross_site_ancestor != null) {
+        cdp.partitionKey = {
+          topLevelSite: cookie.partitionKey,
+          hasCrossSiteAncestor: flag(row, 'has_cross_site_ancestor')
+        };
+      }
+    }
+    if (Object.keys(cdp).length) {
+      cookie.cdp = cdp;
+    }
+    return cookie;
+  });
+}
+
+exports.readCookies = readCookies;
@@ -0,0 +1,123 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+// Codecs turn arbitrary values into strings made only of RFC6265 S4.1.1
+// cookie-octets, and back again.  Each has an encode(value) that returns the
+// cookie-value and a decode(str) that returns undefined if str isn't
+// something the codec could have produced.
+
+var COOKIE_OCTETS = /^[\x21\x23-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]*$/;
+var BASE64URL = /^[A-Za-z0-9_-]*$/;
+
+// Buffer.from() isn't in node 0.10 and `new Buffer()` is deprecated after it
+function toBuffer(str, encoding) {
+  return Buffer.from && Buffer.from !== Uint8Array.from ?
+    Buffer.from(str, encoding) : new Buffer(str, encoding);
+}
+
+function uriDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    return undefined; // malformed %-sequence
+  }
+}
+
+// Percent-encoding, as done by encodeURIComponent(); leaves only
+// cookie-octets.
+var uri = {
+  encode: function(value) {
+    return encodeURIComponent(String(value));
+  },
+  decode: uriDecode
+};
+
+// RFC4648 S5 "base64url" of the UTF-8 bytes, without padding.
+var base64url = {
+  encode: function(value) {
+    return toBuffer(String(value), 'utf8').toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  },
+  decode: function(str) {
+    if (!BASE64URL.test(str) || str.length % 4 === 1) {
+      return undefined;
+    }
+    var base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    return toBuffer(base64, 'base64').toString('utf8');
+  }
+};
+
+// S4.1.1 also allows the cookie-octets to be wrapped in DQUOTEs.  There's no
+// escaping inside the quotes, so values with other characters can't be
+// encoded.
+var quoted = {
+  encode: function(value) {
+    value = String(value);
+    if (!COOKIE_OCTETS.test(value)) {
+      throw new Error('Value has characters that are not cookie-octets: '+value);
+    }
+    return '"'+value+'"';
+  },
+  decode: function(str) {
+    if (str.length >= 2 && str[0] === '"' && str[str.length-1] === '"') {
+      return str.slice(1, -1);
+    }
+    return str;
+  }
+};
+
+// JSON with express's "j:" prefix, percent-encoded the way express'
+// res.cookie() sends it, so that either side can read the other's cookies.
+// Decoding a value without the prefix gives the plain (unencoded) string.
+var json = {
+  encode: function(value) {
+    return encodeURIComponent('j:'+JSON.stringify(value));
+  },
+  decode: function(str) {
+    str = uriDecode(str);
+    if (str === undefined || str.substr(0, 2) !== 'j:') {
+      return str;
+    }
+    try {
+      return JSON.parse(str.slice(2));
+    } catch (e) {
+      return undefined;
+    }
+  }
+};
+
+exports.uri = uri;
+exports.base64url = base64url;
+exports.quoted = quoted;
+exports.json = json;
@@ -35,6 +35,18 @@ var pubsuffix = require('./pubsuffix');
 var Store = require('./store').Store;
 var MemoryCookieStore = require('./memstore').MemoryCookieStore;
 var pathMatch = require('./pathMatch').pathMatch;
+var quota = require('./quota');
+var formats = require('./formats');
+var codecs = require('./codecs');
+var netscape = require('./netscape');
+var lwp = require('./lwp');
+var chromium = require('./chromium');
+var firefox = require('./firefox');
+var binarycookies = require('./binarycookies');
+var har = require('./har');
+var playwright = require('./playwright');
+var cdp = require('./cdp');
+var webdriver = require('./webdriver');
 var VERSION = require('../package.json').version;
 
 var punycode;
@@ -50,9 +62,28 @@ var DATE_DELIM = /[\x09\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]/;
 // note that it excludes \x3B ";"
 var COOKIE_OCTET  = /[\x21\x23-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]/;
 var COOKIE_OCTETS = new RegExp('^'+COOKIE_OCTET.source+'+$');
+// cookie-value = *cookie-octet / ( DQUOTE *cookie-octet DQUOTE )
+var COOKIE_VALUE = new RegExp('^(?:"'+COOKIE_OCTET.source+'*"|'+COOKIE_OCTET.source+'*)$');
+// cookie-name = token (RFC2616 S2.2)
+var COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// RFC6265 S4.1.1 extension-av = <any CHAR except CTLs or ";">
+var EXTENSION_AV = /^[\x20-\x3A\x3C-\x7E]+$/;
 
 var CONTROL_CHARS = /[\x00-\x1F]/;
 
+// RFC6265bis S5.6: CTL characters excluding HTAB
+var TERMINATORS_BIS = /[\x00-\x08\x0A-\x1F\x7F]/;
+
+// RFC6265bis S5.6 limits, in octets
+var MAX_NAME_VALUE_BYTES = 4096;
+var MAX_ATTRIBUTE_VALUE_BYTES = 1024;
+
+var PARSE_MODES = ['rfc6265', 'rfc6265bis', 'rfc2965'];
+
+// Attributes that are only parsed in the legacy "rfc2965" mode (RFC2965 S3.2.2)
+var RFC2965_ATTRIBUTES = ['comment', 'commenturl', 'discard', 'port', 'version'];
+var VALIDATION_LEVELS = ['rfc6265', 'rfc6265bis', 'legacy'];
+
 // Double quotes are part of the value (see: S4.1.1).
 // '\r', '\n' and '\0' should be treated as a terminator in the "relaxed" mode
 // (see: https://github.com/ChromiumWebApps/chromium/blob/b3d3b4da8bb94c1b2e061600df106d590fda3620/net/cookies/parsed_cookie.cc#L60)
@@ -67,6 +98,7 @@ var LOOSE_COOKIE_PAIR = /^((?:=)?([^=;]*)\s*=\s*)?([^\n\r\0]*)/;
 // RFC6265 S4.1.1 defines path value as 'any CHAR except CTLs or ";"'
 // Note ';' is \x3B
 var PATH_VALUE = /[\x20-\x3A\x3C-\x7E]+/;
+var PATH_VALUES = new RegExp('^'+PATH_VALUE.source+'$');
 
 var DAY_OF_MONTH = /^(\d{1,2})[^\d]*$/;
 var TIME = /^(\d{1,2})[^\d]*:(\d{1,2})[^\d]*:(\d{1,2})[^\d]*$/;
@@ -88,6 +120,47 @@ var YEAR = /^(\d{2}|\d{4})$/; // 2 to 4 digits
 var MAX_TIME = 2147483647000; // 31-bit max
 var MIN_TIME = 0; // 31-bit min
 
+var SAME_SITE_CONTEXT_VAL_ERR =
+  'Invalid sameSiteContext option; expected one of "strict", "lax", or "none"';
+
+var PrefixSecurityEnum = {
+  SILENT: 'silent',
+  STRICT: 'strict',
+  DISABLED: 'unsafe-disabled'
+};
+
+// RFC6265bis S4.1.3.1: "If a cookie's name begins with a case-sensitive match
+// for the string "__Secure-", then the cookie will have been set with a
+// "Secure" attribute [from a secure origin]."
+function isSecurePrefixConditionMet(cookie, secureOrigin) {
+  if (cookie.key.indexOf('__Secure-') !== 0) {
+    return true;
+  }
+  return cookie.secure && secureOrigin;
+}
+
+// RFC6265bis S4.1.3.2: "If a cookie's name begins with a case-sensitive match
+// for the string "__Host-", then the cookie will have been set with a
+// "Secure" attribute [from a secure origin], a "Path" attribute with a value
+// of "/", and no "Domain" attribute."
+function isHostPrefixConditionMet(cookie, secureOrigin) {
+  if (cookie.key.indexOf('__Host-') !== 0) {
+    return true;
+  }
+  return cookie.secure && secureOrigin && cookie.hostOnly &&
+    cookie.path === '/';
+}
+
+// Normalizes the `sameSiteContext` option given to setCookie() and
+// getCookies().  Returns null if the option is invalid.
+function checkSameSiteContext(value) {
+  var context = String(value).toLowerCase();
+  if (context === 'strict' || context === 'lax' || context === 'none') {
+    return context;
+  }
+  return null;
+}
+
 
 // RFC6265 S5.1.1 date parser:
 function parseDate(str) {
@@ -318,20 +391,87 @@ function defaultPath(path) {
 }
 
 
+// Splits str on separator, except inside RFC2616 quoted-strings
+function splitUnquoted(str, separator) {
+  var parts = [];
+  var start = 0;
+  var inQuotes = false;
+  for (var i = 0; i < str.length; i++) {
+    var ch = str.charAt(i);
+    if (inQuotes && ch === '\\') {
+      i++; // quoted-pair
+    } else if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (ch === separator && !inQuotes) {
+      parts.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(str.slice(start));
+  return parts;
+}
+
+// RFC2616 S2.2: quoted-string = ( <"> *(qdtext | quoted-pair ) <"> )
+function unquote(value) {
+  var match = /^"((?:[^"\\]|\\.)*)"$/.exec(value);
+  return match ? match[1].replace(/\\(.)/g, '$1') : value;
+}
+
+function quote(value) {
+  return '"'+String(value).replace(/(["\\])/g, '\\$1')+'"';
+}
+
 function parse(str, options) {
   if (!options || typeof options !== 'object') {
     options = {};
   }
+  if (!options.diagnostics) {
+    return parseCookie(str, options, function() {});
+  }
+
+  var warnings = [];
+  var cookie = parseCookie(str, options, function(code, attribute, raw) {
+    warnings.push({ code: code, attribute: attribute, raw: raw });
+  });
+  return { cookie: cookie, warnings: warnings };
+}
+
+// Does the work for parse(), calling warn(code, attribute, raw) whenever it
+// has to ignore the whole set-cookie-string or one of its cookie-avs.
+function parseCookie(str, options, warn) {
+  var mode = options.mode || 'rfc6265';
+  if (PARSE_MODES.indexOf(mode) === -1) {
+    throw new Error('Invalid parse mode: '+mode);
+  }
+  var bis = mode === 'rfc6265bis';
+  var legacy = mode === 'rfc2965';
+
+  // RFC6265bis S5.6 step 1: "If the set-cookie-string contains a %x00-08 /
+  // %x0A-1F / %x7F character (CTL characters excluding HTAB): Abort these
+  // steps and ignore the set-cookie-string entirely."
+  if (bis && TERMINATORS_BIS.test(str)) {
+    warn('CONTROL_CHARS', null, str);
+    return;
+  }
   str = str.trim();
 
   // We use a regex to parse the "name-value-pair" part of S5.2
   var firstSemi = str.indexOf(';'); // S5.2 step 1
-  var pairRe = options.loose ? LOOSE_COOKIE_PAIR : COOKIE_PAIR;
-  var result = pairRe.exec(firstSemi === -1 ? str : str.substr(0,firstSemi));
+  if (legacy) {
+    // RFC2965 values can be quoted-strings, which may contain ";"
+    var parts = splitUnquoted(str, ';');
+    firstSemi = parts.length > 1 ? parts[0].length : -1;
+  }
+  // RFC6265bis S5.6 step 3: "If the name-value-pair string lacks a %x3D ("=")
+  // character, then the name string is empty" -- just like loose mode
+  var pairRe = options.loose || bis ? LOOSE_COOKIE_PAIR : COOKIE_PAIR;
+  var pair = firstSemi === -1 ? str : str.substr(0,firstSemi);
+  var result = pairRe.exec(pair);
 
   // Rx satisfies the "the name string is empty" and "lacks a %x3D ("=")"
   // constraints as well as trimming any whitespace.
   if (!result) {
+    warn('PAIR_INVALID', null, pair);
     return;
   }
 
@@ -342,10 +482,31 @@ function parse(str, options) {
     c.key = '';
   }
   c.value = result[3].trim();
-  if (CONTROL_CHARS.test(c.key) || CONTROL_CHARS.test(c.value)) {
+  if (legacy) {
+    c.value = unquote(c.value);
+  }
+  // (RFC6265bis permits HTAB, having already rejected the other CTLs)
+  if (!bis && (CONTROL_CHARS.test(c.key) || CONTROL_CHARS.test(c.value))) {
+    warn('CONTROL_CHARS', null, pair);
     return;
   }
 
+  if (bis) {
+    // RFC6265bis S5.6 step 5: "If both the name string and the value string
+    // are empty, ignore the set-cookie-string entirely."
+    if (!c.key && !c.value) {
+      warn('EMPTY_NAME_AND_VALUE', null, pair);
+      return;
+    }
+    // RFC6265bis S5.6 step 6: "If the sum of the lengths of the name string
+    // and the value string is more than 4096 octets, abort these steps and
+    // ignore the set-cookie-string entirely."
+    if (Buffer.byteLength(c.key + c.value) > MAX_NAME_VALUE_BYTES) {
+      warn('NAME_VALUE_TOO_LONG', null, pair);
+      return;
+    }
+  }
+
   if (firstSemi === -1) {
     return c;
   }
@@ -369,7 +530,7 @@ function parse(str, options) {
    * cookie-attribute-list".  Therefore, in this implementation, we overwrite
    * the previous value.
    */
-  var cookie_avs = unparsed.split(';');
+  var cookie_avs = legacy ? splitUnquoted(unparsed, ';') : unparsed.split(';');
   while (cookie_avs.length) {
     var av = cookie_avs.shift().trim();
     if (av.length === 0) { // happens if ";;" appears
@@ -390,47 +551,63 @@ function parse(str, options) {
 
     if (av_value) {
       av_value = av_value.trim();
+      if (legacy) {
+        av_value = unquote(av_value);
+      }
+    }
+
+    // RFC6265bis S5.6 step 5 (of the cookie-av loop): "If the attribute-value
+    // is longer than 1024 octets, ignore the cookie-av string"
+    if (bis && av_value && Buffer.byteLength(av_value) > MAX_ATTRIBUTE_VALUE_BYTES) {
+      warn('ATTRIBUTE_TOO_LONG', av_key, av);
+      continue;
     }
 
-    switch(av_key) {
+    // outside of "rfc2965" mode the RFC2965 attributes are just extensions
+    var attrName = av_key;
+    if (!legacy && RFC2965_ATTRIBUTES.indexOf(av_key) !== -1) {
+      attrName = null;
+    }
+
+    switch(attrName) {
     case 'expires': // S5.2.1
-      if (av_value) {
-        var exp = parseDate(av_value);
-        // "If the attribute-value failed to parse as a cookie date, ignore the
-        // cookie-av."
-        if (exp) {
-          // over and underflow not realistically a concern: V8's getTime() seems to
-          // store something larger than a 32-bit time_t (even with 32-bit node)
-          c.expires = exp;
-        }
+      var exp = av_value ? parseDate(av_value) : null;
+      // "If the attribute-value failed to parse as a cookie date, ignore the
+      // cookie-av."
+      if (exp) {
+        // over and underflow not realistically a concern: V8's getTime() seems to
+        // store something larger than a 32-bit time_t (even with 32-bit node)
+        c.expires = exp;
+      } else {
+        warn('EXPIRES_INVALID', av_key, av);
       }
       break;
 
     case 'max-age': // S5.2.2
-      if (av_value) {
-        // "If the first character of the attribute-value is not a DIGIT or a "-"
-        // character ...[or]... If the remainder of attribute-value contains a
-        // non-DIGIT character, ignore the cookie-av."
-        if (/^-?[0-9]+$/.test(av_value)) {
-          var delta = parseInt(av_value, 10);
-          // "If delta-seconds is less than or equal to zero (0), let expiry-time
-          // be the earliest representable date and time."
-          c.setMaxAge(delta);
-        }
+      // "If the first character of the attribute-value is not a DIGIT or a "-"
+      // character ...[or]... If the remainder of attribute-value contains a
+      // non-DIGIT character, ignore the cookie-av."
+      if (av_value && /^-?[0-9]+$/.test(av_value)) {
+        var delta = parseInt(av_value, 10);
+        // "If delta-seconds is less than or equal to zero (0), let expiry-time
+        // be the earliest representable date and time."
+        c.setMaxAge(delta);
+      } else {
+        warn('MAX_AGE_INVALID', av_key, av);
       }
       break;
 
     case 'domain': // S5.2.3
       // "If the attribute-value is empty, the behavior is undefined.  However,
       // the user agent SHOULD ignore the cookie-av entirely."
-      if (av_value) {
-        // S5.2.3 "Let cookie-domain be the attribute-value without the leading %x2E
-        // (".") character."
-        var domain = av_value.trim().replace(/^\./, '');
-        if (domain) {
-          // "Convert the cookie-domain to lower case."
-          c.domain = domain.toLowerCase();
-        }
+      // S5.2.3 "Let cookie-domain be the attribute-value without the leading %x2E
+      // (".") character."
+      var domain = av_value ? av_value.trim().replace(/^\./, '') : '';
+      if (domain) {
+        // "Convert the cookie-domain to lower case."
+        c.domain = domain.toLowerCase();
+      } else {
+        warn('DOMAIN_EMPTY', av_key, av);
       }
       break;
 
@@ -446,6 +623,9 @@ function parse(str, options) {
        * context of the parsing.
        */
       c.path = av_value && av_value[0] === "/" ? av_value : null;
+      if (!c.path) {
+        warn('PATH_NOT_ABSOLUTE', av_key, av);
+      }
       break;
 
     case 'secure': // S5.2.5
@@ -461,7 +641,84 @@ function parse(str, options) {
       c.httpOnly = true;
       break;
 
+    case 'samesite': // RFC6265bis-02 S5.3.7
+      /*
+       * "If cookie-av's attribute-value is a case-insensitive match for
+       * "Strict" [, "Lax" or "None"], set enforcement to [that value]."
+       *
+       * Any other value is ignored, which leaves the cookie without a
+       * SameSite restriction.
+       */
+      var enforcement = av_value ? av_value.toLowerCase() : '';
+      if (Cookie.sameSiteLevel.hasOwnProperty(enforcement)) {
+        c.sameSite = enforcement;
+      } else {
+        warn('SAMESITE_INVALID', av_key, av);
+      }
+      break;
+
+    case 'partitioned': // CHIPS draft-cutler-httpbis-partitioned-cookies S2.1
+      c.partitioned = true;
+      break;
+
+    case 'priority': // non-RFC: Chromium's Low, Medium or High
+      var priority = av_value ? av_value.toLowerCase() : '';
+      if (Cookie.priorityLevel.hasOwnProperty(priority)) {
+        c.priority = priority;
+      } else {
+        warn('PRIORITY_INVALID', av_key, av);
+      }
+      break;
+
+    case 'comment': // RFC2965 S3.2.2
+      c.comment = av_value;
+      break;
+
+    case 'commenturl': // RFC2965 S3.2.2
+      c.commentURL = av_value;
+      break;
+
+    case 'discard': // RFC2965 S3.2.2
+      c.discard = true;
+      break;
+
+    case 'port': // RFC2965 S3.2.2
+      /*
+       * "Port[="portlist"]" -- without a value the cookie may only be
+       * returned to the port it was set on, which the CookieJar fills in.
+       */
+      if (av_value == null) {
+        c.port = true;
+      } else if (/^\s*\d+\s*(,\s*\d+\s*)*$/.test(av_value)) {
+        c.port = av_value.split(',').map(function(port) {
+          return parseInt(port, 10);
+        });
+      } else {
+        warn('PORT_INVALID', av_key, av);
+      }
+      break;
+
+    case 'version': // RFC2965 S3.2.2
+      if (av_value && /^\d+$/.test(av_value)) {
+        c.version = parseInt(av_value, 10);
+      } else {
+        warn('VERSION_INVALID', av_key, av);
+      }
+      break;
+
     default:
+      if (attrName && attributeRegistry.hasOwnProperty(av_key)) {
+        var attr = attributeRegistry[av_key];
+        var parsed = attr.parse(av_value);
+        // "ignore the cookie-av" when the registered parser can't make sense
+        // of it
+        if (parsed !== undefined) {
+          c[attr.property] = parsed;
+        } else {
+          warn('ATTRIBUTE_INVALID', av_key, av);
+        }
+        break;
+      }
       c.extensions = c.extensions || [];
       c.extensions.push(av);
       break;
@@ -471,6 +728,98 @@ function parse(str, options) {
   return c;
 }
 
+// Parses a request's Cookie header (RFC6265 S4.2.1 and S5.4) into an ordered
+// list of {key, value} pairs.  Duplicate names are all kept, in order.
+function parseCookieHeader(str, options) {
+  if (!options || typeof options !== 'object') {
+    options = {};
+  }
+  var pairRe = options.loose ? LOOSE_COOKIE_PAIR : COOKIE_PAIR;
+  var pairs = [];
+  if (!str) {
+    return pairs;
+  }
+
+  String(str).split(';').forEach(function(part) {
+    part = part.trim();
+    if (part.length === 0) { // happens if ";;" appears
+      return;
+    }
+
+    var result = pairRe.exec(part);
+    if (!result) {
+      return; // e.g. a nameless value, unless in loose mode
+    }
+
+    var key = result[1] ? result[2].trim() : '';
+    var value = result[3].trim();
+    if (CONTROL_CHARS.test(key) || CONTROL_CHARS.test(value)) {
+      return;
+    }
+    pairs.push({key: key, value: value});
+  });
+
+  return pairs;
+}
+
+// The start of a cookie-pair, used to tell whether a comma separates two
+// folded Set-Cookie headers
+var STARTS_COOKIE_PAIR = /^\s*[^=;,\s]+\s*=/;
+var EXPIRES_AV = /;\s*expires\s*=([^;]*)$/i;
+
+// Tells if a comma is inside an Expires date, like the one after "Wed" in
+// "Expires=Wed, 09 Jun 2021 10:18:14 GMT", by asking parseDate() whether the
+// date only makes sense with the text that follows the comma.
+function isDateComma(before, after) {
+  var expires = EXPIRES_AV.exec(before);
+  if (!expires) {
+    return false;
+  }
+  var firstSemi = after.indexOf(';');
+  var rest = firstSemi === -1 ? after : after.substr(0, firstSemi);
+  return !parseDate(expires[1]) && !!parseDate(expires[1]+','+rest);
+}
+
+// Splits a string of Set-Cookie headers folded into one with commas (RFC7230
+// S3.2.2) back into the individual headers.
+function splitSetCookieString(str, options) {
+  var headers = [];
+  if (!str) {
+    return headers;
+  }
+  var quoted = options && options.quoted;
+
+  var current = null;
+  var pieces = quoted ? splitUnquoted(String(str), ',') : String(str).split(',');
+  pieces.forEach(function(piece) {
+    if (!piece.trim()) {
+      // an empty list element (RFC7230 S7) ends the current header
+      if (current !== null) {
+        headers.push(current);
+      }
+      current = null;
+    } else if (current === null) {
+      current = piece;
+    } else if (isDateComma(current, piece) || !STARTS_COOKIE_PAIR.test(piece)) {
+      current += ','+piece; // the comma is part of the cookie
+    } else {
+      headers.push(current);
+      current = piece;
+    }
+  });
+  if (current !== null) {
+    headers.push(current);
+  }
+
+  return headers
+    .map(function(header) {
+      return header.trim();
+    })
+    .filter(function(header) {
+      return header.length > 0;
+    });
+}
+
 // avoid the V8 deoptimization monster!
 function jsonParse(str) {
   var obj;
@@ -517,6 +866,11 @@ function fromJSON(str) {
         c[prop] = obj[prop] == "Infinity" ?
           "Infinity" : new Date(obj[prop]);
       }
+    } else if (attributeProperties.hasOwnProperty(prop) &&
+               attributeProperties[prop].fromJSON)
+    {
+      c[prop] = obj[prop] === null ?
+        null : attributeProperties[prop].fromJSON(obj[prop]);
     } else {
       c[prop] = obj[prop];
     }
@@ -559,6 +913,38 @@ function cookieCompare(a,b) {
   return cmp;
 }
 
+// Orders cookies for eviction: lower priority cookies go first, then the least
+// recently accessed ones.
+function evictionCompare(a,b) {
+  var aLevel = Cookie.priorityLevel[a.priority] || Cookie.priorityLevel.medium;
+  var bLevel = Cookie.priorityLevel[b.priority] || Cookie.priorityLevel.medium;
+  var cmp = aLevel - bLevel;
+  if (cmp !== 0) {
+    return cmp;
+  }
+
+  var aTime = (a.lastAccessed || a.creation || new Date(MIN_TIME)).getTime();
+  var bTime = (b.lastAccessed || b.creation || new Date(MIN_TIME)).getTime();
+  cmp = aTime - bTime;
+  if (cmp !== 0) {
+    return cmp;
+  }
+
+  return a.creationIndex - b.creationIndex;
+}
+
+// evictionCompare(), except that expired cookies go before everything else
+function expiredFirstCompare(now) {
+  return function(a,b) {
+    var aExpired = a.expiryTime() <= now;
+    var bExpired = b.expiryTime() <= now;
+    if (aExpired !== bExpired) {
+      return aExpired ? -1 : 1;
+    }
+    return evictionCompare(a,b);
+  };
+}
+
 // Gives the permutation of all possible pathMatch()es of a given path. The
 // array is in longest-to-shortest order.  Handy for indexing.
 function permutePath(path) {
@@ -581,6 +967,14 @@ function permutePath(path) {
   return permutations;
 }
 
+// The port of a URL, defaulted from the protocol, as a number
+function getRequestPort(context) {
+  if (context.port) {
+    return parseInt(context.port, 10);
+  }
+  return context.protocol == 'https:' || context.protocol == 'wss:' ? 443 : 80;
+}
+
 function getCookieContext(url) {
   if (url instanceof Object) {
     return url;
@@ -597,6 +991,19 @@ function getCookieContext(url) {
   return urlParse(url);
 }
 
+// CHIPS partition keys are the "site" (scheme and registrable domain) of the
+// top-level URL, e.g. "https://example.com".  Strings that aren't URLs are
+// used as-is.
+function canonicalPartitionKey(url) {
+  var context = getCookieContext(url);
+  if (!context.protocol || !context.hostname) {
+    return typeof url === 'string' ? url : null;
+  }
+  var host = canonicalDomain(context.hostname);
+  var site = pubsuffix.getPublicSuffix(host) || host;
+  return context.protocol.toLowerCase()+'//'+site;
+}
+
 function Cookie(options) {
   options = options || {};
 
@@ -622,8 +1029,61 @@ function Cookie(options) {
 
 Cookie.cookiesCreated = 0; // incremented each time a cookie is created
 
+// Used to compare a cookie's SameSite attribute to a request's
+// sameSiteContext; an unset attribute is treated as "none"
+Cookie.sameSiteLevel = {
+  strict: 3,
+  lax: 2,
+  none: 1
+};
+
+Cookie.sameSiteCanonical = formats.SAME_SITE_CANONICAL;
+
+// Used to pick which cookies get evicted first; an unset attribute is treated
+// as "medium" (like Chromium does)
+Cookie.priorityLevel = {
+  low: 1,
+  medium: 2,
+  high: 3
+};
+
+Cookie.priorityCanonical = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High'
+};
+
+Cookie.codecs = codecs;
+
+// Takes the name of one of Cookie.codecs or a custom {encode, decode} codec.
+// Returns null if there's no codec.
+function resolveCodec(codec) {
+  if (codec == null) {
+    return null;
+  }
+  if (typeof codec === 'string') {
+    if (!codecs.hasOwnProperty(codec)) {
+      throw new Error('Unknown codec: '+codec);
+    }
+    return codecs[codec];
+  }
+  if (!(codec.encode instanceof Function) || !(codec.decode instanceof Function)) {
+    throw new Error('A codec needs encode and decode functions');
+  }
+  return codec;
+}
+
 Cookie.parse = parse;
 Cookie.fromJSON = fromJSON;
+Cookie.fromHar = function fromHar(obj) {
+  return new Cookie(har.fromHar(obj));
+};
+Cookie.fromCDP = function fromCDP(obj) {
+  return new Cookie(cdp.fromCDP(obj));
+};
+Cookie.fromWebDriver = function fromWebDriver(obj) {
+  return new Cookie(webdriver.fromWebDriver(obj));
+};
 
 Cookie.prototype.key = "";
 Cookie.prototype.value = "";
@@ -635,11 +1095,22 @@ Cookie.prototype.domain = null;
 Cookie.prototype.path = null;
 Cookie.prototype.secure = false;
 Cookie.prototype.httpOnly = false;
+Cookie.prototype.sameSite = null; // 'strict', 'lax' or 'none' when set
+Cookie.prototype.partitioned = false;
+Cookie.prototype.priority = null; // 'low', 'medium' or 'high' when set
+// RFC2965 attributes, only set by the "rfc2965" parse mode:
+Cookie.prototype.comment = null;
+Cookie.prototype.commentURL = null;
+Cookie.prototype.discard = false;
+Cookie.prototype.port = null; // Array of port numbers when set
+Cookie.prototype.version = null;
 Cookie.prototype.extensions = null;
+Cookie.prototype.cdp = null; // DevTools Protocol fields kept by Cookie.fromCDP
 
 // set by the CookieJar:
 Cookie.prototype.hostOnly = null; // boolean when set
 Cookie.prototype.pathIsDefault = null; // boolean when set
+Cookie.prototype.partitionKey = null; // top-level site when partitioned
 Cookie.prototype.creation = null; // Date when set; defaulted by Cookie.parse
 Cookie.prototype.lastAccessed = null; // Date when set
 Object.defineProperty(Cookie.prototype, 'creationIndex', {
@@ -658,6 +1129,76 @@ Cookie.serializableProperties = Object.keys(Cookie.prototype)
     );
   });
 
+// Extension attributes registered via Cookie.registerAttribute(), keyed by
+// lower-cased attribute-name and by Cookie property, respectively
+var attributeRegistry = {};
+var attributeProperties = {};
+
+// attribute-names that parse() handles itself
+var BUILTIN_ATTRIBUTES = [
+  'expires', 'max-age', 'domain', 'path', 'secure', 'httponly', 'samesite',
+  'partitioned', 'priority'
+].concat(RFC2965_ATTRIBUTES);
+
+// "Auth-Scope" -> "authScope"
+function attributeProperty(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+([a-z0-9])/g, function(m, c) {
+    return c.toUpperCase();
+  }).replace(/[^a-zA-Z0-9]/g, '');
+}
+
+Cookie.registerAttribute = function registerAttribute(name, definition) {
+  definition = definition || {};
+  var av_key = String(name).trim().toLowerCase();
+  if (!av_key || /[\x00-\x20;=]/.test(av_key)) {
+    throw new Error('Invalid attribute-name: '+name);
+  }
+  if (BUILTIN_ATTRIBUTES.indexOf(av_key) !== -1 ||
+      attributeRegistry.hasOwnProperty(av_key))
+  {
+    throw new Error('Cookie attribute is already defined: '+name);
+  }
+
+  var property = definition.property || attributeProperty(av_key);
+  if (property in Cookie.prototype || property.substr(0,1) === '_') {
+    throw new Error('Cookie property is already defined: '+property);
+  }
+
+  attributeRegistry[av_key] = attributeProperties[property] = {
+    name: String(name).trim(),
+    property: property,
+    parse: definition.parse || function(value) {
+      return value == null ? true : value; // value-less means it's a flag
+    },
+    serialize: definition.serialize || function(value) {
+      return value === true ? true : String(value);
+    },
+    validate: definition.validate || null,
+    toJSON: definition.toJSON || null,
+    fromJSON: definition.fromJSON || null
+  };
+
+  Cookie.prototype[property] = null;
+  Cookie.serializableProperties.push(property);
+  return property;
+};
+
+Cookie.unregisterAttribute = function unregisterAttribute(name) {
+  var av_key = String(name).trim().toLowerCase();
+  if (!attributeRegistry.hasOwnProperty(av_key)) {
+    return false;
+  }
+  var property = attributeRegistry[av_key].property;
+  delete attributeRegistry[av_key];
+  delete attributeProperties[property];
+  delete Cookie.prototype[property];
+  var i = Cookie.serializableProperties.indexOf(property);
+  if (i !== -1) {
+    Cookie.serializableProperties.splice(i, 1);
+  }
+  return true;
+};
+
 Cookie.prototype.inspect = function inspect() {
   var now = Date.now();
   return 'Cookie="'+this.toString() +
@@ -693,6 +1234,11 @@ Cookie.prototype.toJSON = function() {
         obj[prop] = (this[prop] == Infinity || this[prop] == -Infinity) ?
           this[prop].toString() : this[prop];
       }
+    } else if (attributeProperties.hasOwnProperty(prop) &&
+               attributeProperties[prop].toJSON)
+    {
+      obj[prop] = this[prop] === null ?
+        null : attributeProperties[prop].toJSON(this[prop]);
     } else {
       if (this[prop] !== Cookie.prototype[prop]) {
         obj[prop] = this[prop];
@@ -707,31 +1253,148 @@ Cookie.prototype.clone = function() {
   return fromJSON(this.toJSON());
 };
 
-Cookie.prototype.validate = function validate() {
-  if (!COOKIE_OCTETS.test(this.value)) {
-    return false;
+// the cookie objects of HTTP Archive (HAR) files
+Cookie.prototype.toHar = function toHar() {
+  return har.toHar(this);
+};
+
+// the Network.Cookie and Network.CookieParam of the Chrome DevTools Protocol
+Cookie.prototype.toCDP = function toCDP() {
+  return cdp.toCDP(this);
+};
+
+Cookie.prototype.toCDPParam = function toCDPParam() {
+  return cdp.toCDPParam(this);
+};
+
+// the cookie JSON of W3C WebDriver
+Cookie.prototype.toWebDriver = function toWebDriver() {
+  return webdriver.toWebDriver(this);
+};
+
+// Lists every way the cookie breaks the Set-Cookie syntax of RFC6265 S4.1
+// (the rules a server should follow), or of RFC6265bis at that level.  The
+// "legacy" level is the looser checks validate() has always made.
+Cookie.prototype.check = function check(options) {
+  if (!options || typeof options !== 'object') {
+    options = {};
+  }
+  var level = options.level || 'rfc6265';
+  if (VALIDATION_LEVELS.indexOf(level) === -1) {
+    throw new Error('Invalid validation level: '+level);
+  }
+  var bis = level === 'rfc6265bis';
+  var legacy = level === 'legacy';
+
+  var violations = [];
+  function violation(code, property, message) {
+    violations.push({ code: code, property: property, message: message });
+  }
+
+  if (legacy) {
+    if (!COOKIE_OCTETS.test(this.value)) {
+      violation('VALUE_INVALID', 'value', 'value is not one or more cookie-octets');
+    }
+  } else {
+    if (typeof this.key !== 'string' || !COOKIE_NAME.test(this.key)) {
+      violation('KEY_INVALID', 'key', 'key must be a non-empty token');
+    }
+    if (typeof this.value !== 'string' || !COOKIE_VALUE.test(this.value)) {
+      violation('VALUE_INVALID', 'value', 'value contains characters that are not cookie-octets');
+    }
+  }
+  if (bis && Buffer.byteLength(String(this.key) + String(this.value)) > MAX_NAME_VALUE_BYTES) {
+    violation('NAME_VALUE_TOO_LONG', 'value', 'key and value are longer than '+MAX_NAME_VALUE_BYTES+' octets');
   }
+
   if (this.expires != Infinity && !(this.expires instanceof Date) && !parseDate(this.expires)) {
-    return false;
+    violation('EXPIRES_INVALID', 'expires', 'expires is not a date');
   }
-  if (this.maxAge != null && this.maxAge <= 0) {
-    return false; // "Max-Age=" non-zero-digit *DIGIT
+  if (this.maxAge != null && this.maxAge !== 'Infinity' && this.maxAge !== Infinity &&
+      ((!legacy && !/^-?[0-9]+$/.test(String(this.maxAge))) || this.maxAge <= 0)) {
+    // "Max-Age=" non-zero-digit *DIGIT
+    violation('MAX_AGE_INVALID', 'maxAge', 'maxAge must be a positive integer');
   }
-  if (this.path != null && !PATH_VALUE.test(this.path)) {
-    return false;
+
+  if (this.path != null) {
+    if (!(legacy ? PATH_VALUE : PATH_VALUES).test(this.path)) {
+      violation('PATH_INVALID', 'path', 'path contains control characters or ";"');
+    } else if (bis && Buffer.byteLength(this.path) > MAX_ATTRIBUTE_VALUE_BYTES) {
+      violation('ATTRIBUTE_TOO_LONG', 'path', 'path is longer than '+MAX_ATTRIBUTE_VALUE_BYTES+' octets');
+    }
   }
 
   var cdomain = this.cdomain();
   if (cdomain) {
     if (cdomain.match(/\.$/)) {
-      return false; // S4.1.2.3 suggests that this is bad. domainMatch() tests confirm this
+      // S4.1.2.3 suggests that this is bad. domainMatch() tests confirm this
+      violation('DOMAIN_TRAILING_DOT', 'domain', 'domain ends with a "."');
+    } else if (pubsuffix.getPublicSuffix(cdomain) == null) {
+      violation('DOMAIN_PUBLIC_SUFFIX', 'domain', 'domain is a public suffix');
     }
-    var suffix = pubsuffix.getPublicSuffix(cdomain);
-    if (suffix == null) { // it's a public suffix
-      return false;
+    if (bis && Buffer.byteLength(this.domain) > MAX_ATTRIBUTE_VALUE_BYTES) {
+      violation('ATTRIBUTE_TOO_LONG', 'domain', 'domain is longer than '+MAX_ATTRIBUTE_VALUE_BYTES+' octets');
     }
   }
-  return true;
+
+  if (!legacy && this.secure !== true && this.secure !== false) {
+    violation('SECURE_INVALID', 'secure', 'secure must be a boolean');
+  }
+  if (!legacy && this.httpOnly !== true && this.httpOnly !== false) {
+    violation('HTTP_ONLY_INVALID', 'httpOnly', 'httpOnly must be a boolean');
+  }
+  if (!legacy && this.sameSite != null && !Cookie.sameSiteLevel.hasOwnProperty(this.sameSite)) {
+    violation('SAMESITE_INVALID', 'sameSite', 'sameSite must be "strict", "lax" or "none"');
+  }
+  if (!legacy && this.priority != null && !Cookie.priorityLevel.hasOwnProperty(this.priority)) {
+    violation('PRIORITY_INVALID', 'priority', 'priority must be "low", "medium" or "high"');
+  }
+
+  if (!legacy && this.extensions) {
+    this.extensions.forEach(function(ext) {
+      if (typeof ext !== 'string' || !EXTENSION_AV.test(ext)) {
+        violation('EXTENSION_INVALID', 'extensions', 'extension contains control characters or ";"');
+      }
+    });
+  }
+
+  for (var name in attributeRegistry) {
+    var attr = attributeRegistry[name];
+    var value = this[attr.property];
+    if (value != null && attr.validate && !attr.validate(value)) {
+      violation('ATTRIBUTE_INVALID', attr.property, attr.property+' is invalid');
+    }
+  }
+
+  if (bis) {
+    // RFC6265bis S4.1.3: cookie name prefixes
+    var key = String(this.key);
+    if (key.indexOf('__Secure-') === 0 && !this.secure) {
+      violation('PREFIX_SECURE', 'secure', '__Secure- cookies must be secure');
+    }
+    if (key.indexOf('__Host-') === 0 &&
+        (!this.secure || (this.domain && !this.hostOnly) || this.path !== '/')) {
+      violation('PREFIX_HOST', 'key', '__Host- cookies must be secure, have no domain and a path of "/"');
+    }
+    // RFC6265bis S5.6.7 and CHIPS S2.1
+    if (this.sameSite === 'none' && !this.secure) {
+      violation('SAMESITE_NONE_INSECURE', 'sameSite', 'SameSite=None cookies must be secure');
+    }
+    if (this.partitioned && !this.secure) {
+      violation('PARTITIONED_INSECURE', 'partitioned', 'partitioned cookies must be secure');
+    }
+  }
+
+  return violations;
+};
+
+// Without options, the checks of the "legacy" level, for compatibility
+Cookie.prototype.validate = function validate(options) {
+  if (!options || typeof options !== 'object' || !(options.detailed || options.level)) {
+    options = { level: 'legacy' };
+  }
+  var violations = this.check(options);
+  return options.detailed ? violations : violations.length === 0;
 };
 
 Cookie.prototype.setExpires = function setExpires(exp) {
@@ -750,12 +1413,30 @@ Cookie.prototype.setMaxAge = function setMaxAge(age) {
   }
 };
 
+// Decodes the value with a codec; without one it's just the value
+Cookie.prototype.getValue = function getValue(options) {
+  var codec = resolveCodec(options && options.codec);
+  if (!codec) {
+    return this.value;
+  }
+  return codec.decode(this.value == null ? '' : String(this.value));
+};
+
+Cookie.prototype.setValue = function setValue(value, options) {
+  var codec = resolveCodec(options && options.codec);
+  this.value = codec ? codec.encode(value) : String(value);
+};
+
 // gives Cookie header format
 Cookie.prototype.cookieString = function cookieString() {
   var val = this.value;
   if (val == null) {
     val = '';
   }
+  // RFC2965 S3.2.2 allows any VALUE as a quoted-string
+  if (this.version != null && !COOKIE_VALUE.test(val)) {
+    val = quote(val);
+  }
   if (this.key === '') {
     return val;
   }
@@ -791,6 +1472,47 @@ Cookie.prototype.toString = function toString() {
   if (this.httpOnly) {
     str += '; HttpOnly';
   }
+  if (this.sameSite) {
+    var ssCanon = Cookie.sameSiteCanonical[this.sameSite.toLowerCase()];
+    str += '; SameSite='+(ssCanon ? ssCanon : this.sameSite);
+  }
+  if (this.partitioned) {
+    str += '; Partitioned';
+  }
+  if (this.priority) {
+    var prioCanon = Cookie.priorityCanonical[this.priority.toLowerCase()];
+    str += '; Priority='+(prioCanon ? prioCanon : this.priority);
+  }
+  if (this.comment != null) {
+    str += '; Comment='+quote(this.comment);
+  }
+  if (this.commentURL != null) {
+    str += '; CommentURL='+quote(this.commentURL);
+  }
+  if (this.discard) {
+    str += '; Discard';
+  }
+  if (this.port === true) {
+    str += '; Port';
+  } else if (Array.isArray(this.port)) {
+    str += '; Port='+quote(this.port.join(','));
+  }
+  if (this.version != null) {
+    str += '; Version='+this.version;
+  }
+  for (var name in attributeRegistry) {
+    var attr = attributeRegistry[name];
+    var value = this[attr.property];
+    if (value == null) {
+      continue;
+    }
+    var serialized = attr.serialize(value);
+    if (serialized === true) {
+      str += '; '+attr.name;
+    } else if (serialized != null && serialized !== false) {
+      str += '; '+attr.name+'='+serialized;
+    }
+  }
   if (this.extensions) {
     this.extensions.forEach(function(ext) {
       str += '; '+ext;
@@ -860,6 +1582,9 @@ Cookie.prototype.expiryDate = function expiryDate(now) {
 
 // This replaces the "persistent-flag" parts of S5.3 step 3
 Cookie.prototype.isPersistent = function isPersistent() {
+  if (this.discard) {
+    return false; // RFC2965 S3.2.2 "discard the cookie unconditionally"
+  }
   return (this.maxAge != null || this.expires != Infinity);
 };
 
@@ -884,17 +1609,199 @@ function CookieJar(store, options) {
   if (options.looseMode != null) {
     this.enableLooseMode = options.looseMode;
   }
+  if (options.parseMode != null) {
+    if (PARSE_MODES.indexOf(options.parseMode) === -1) {
+      throw new Error('Invalid parseMode option: '+options.parseMode);
+    }
+    this.parseMode = options.parseMode;
+  }
+  if (options.maxCookiesPerDomain != null) {
+    this.maxCookiesPerDomain = options.maxCookiesPerDomain;
+  }
+  if (options.maxBytesPerDomain != null) {
+    this.maxBytesPerDomain = options.maxBytesPerDomain;
+  }
+  if (options.maxCookies != null) {
+    this.maxCookies = options.maxCookies;
+  }
+  if (options.lastAccessedThreshold != null) {
+    this.lastAccessedThreshold = options.lastAccessedThreshold;
+  }
+  if (options.codec != null) {
+    resolveCodec(options.codec); // throws if invalid
+    this.codec = options.codec;
+  }
+  if (options.prefixSecurity != null) {
+    var prefixSecurity = String(options.prefixSecurity).toLowerCase();
+    if (prefixSecurity !== PrefixSecurityEnum.SILENT &&
+        prefixSecurity !== PrefixSecurityEnum.STRICT &&
+        prefixSecurity !== PrefixSecurityEnum.DISABLED)
+    {
+      throw new Error('Invalid prefixSecurity option; expected one of "silent", "strict", or "unsafe-disabled"');
+    }
+    this.prefixSecurity = prefixSecurity;
+  }
 
   if (!store) {
     store = new MemoryCookieStore();
   }
   this.store = store;
-}
-CookieJar.prototype.store = null;
-CookieJar.prototype.rejectPublicSuffixes = true;
+
+  // without countCookies() the limits make setCookie() list every cookie in
+  // the store, so for other stores they're off unless asked for
+  if (!canCountCookies(store)) {
+    if (options.maxCookiesPerDomain == null) {
+      this.maxCookiesPerDomain = Infinity;
+    }
+    if (options.maxCookies == null) {
+      this.maxCookies = Infinity;
+    }
+  }
+}
+CookieJar.prototype.store = null;
+CookieJar.prototype.rejectPublicSuffixes = true;
 CookieJar.prototype.enableLooseMode = false;
+CookieJar.prototype.parseMode = 'rfc6265';
+CookieJar.prototype.prefixSecurity = PrefixSecurityEnum.SILENT;
+// the limits of Chromium (net/cookies/cookie_monster.h), roughly
+CookieJar.prototype.maxCookiesPerDomain = 180;
+CookieJar.prototype.maxBytesPerDomain = Infinity;
+CookieJar.prototype.maxCookies = 3000;
+// as in Chromium and Firefox, write lastAccessed at most once a minute
+CookieJar.prototype.lastAccessedThreshold = 60000;
+CookieJar.prototype.codec = null;
 var CAN_BE_SYNC = [];
 
+// Passes the partitionKey along only for partitioned cookies, so that stores
+// which don't support partitions keep getting the arguments they expect.
+function removeStoreCookie(store, cookie, cb) {
+  if (cookie.partitionKey != null) {
+    store.removeCookie(cookie.domain, cookie.path, cookie.key, cookie.partitionKey, cb);
+  } else {
+    store.removeCookie(cookie.domain, cookie.path, cookie.key, cb);
+  }
+}
+
+function canCountCookies(store) {
+  return !!store.countCookies && store.countCookies !== Store.prototype.countCookies;
+}
+
+// Like Chromium, a limit that's exceeded is purged down to a tenth below it,
+// so that the next cookie doesn't exceed it again
+function purgeTarget(limit) {
+  return limit - Math.floor(limit / 10);
+}
+
+// Evicts cookies until the jar is within its limits after storing a cookie:
+// first the maxCookiesPerDomain and maxBytesPerDomain of the cookie's
+// registrable domain, then maxCookies over the whole jar.  Expired cookies go
+// first, then as evictionCompare() orders them.  Each evicted cookie is
+// reported as {cookie, limit, expired} in the `evictions` Array option.
+// Stores with countCookies() are only asked for all of their cookies when a
+// limit is exceeded; otherwise that is done on every call.
+CookieJar.prototype._evictCookies = function(cookie, options, cb) {
+  var perDomain = this.maxCookiesPerDomain;
+  var bytesPerDomain = this.maxBytesPerDomain;
+  var total = this.maxCookies;
+  var store = this.store;
+  if (!(perDomain < Infinity || bytesPerDomain < Infinity || total < Infinity) ||
+      !store.getAllCookies || store.getAllCookies === Store.prototype.getAllCookies)
+  {
+    return cb(null);
+  }
+
+  var now = options.now || new Date();
+  var compare = expiredFirstCompare(now);
+  var site = quota.registrableDomain(cookie.domain);
+
+  if (canCountCookies(store)) {
+    store.countCookies(site, function(err, counts) {
+      if (err) {
+        return cb(err);
+      }
+      if (counts.siteCookies <= perDomain && counts.siteBytes <= bytesPerDomain &&
+          counts.total <= total)
+      {
+        return cb(null);
+      }
+      store.getAllCookies(withAllCookies);
+    });
+  } else {
+    store.getAllCookies(withAllCookies);
+  }
+
+  function withAllCookies(err, cookies) {
+    if (err) {
+      return cb(err);
+    }
+
+    var evicted = [];
+    function evict(c, limit) {
+      evicted.push({ cookie: c, limit: limit, expired: c.expiryTime() <= now });
+    }
+
+    // the public suffix list lookup is slow; do it once for each domain
+    var sites = {};
+    var siteCookies = [];
+    var otherCookies = [];
+    cookies.forEach(function(c) {
+      c = (c instanceof Cookie) ? c : fromJSON(c);
+      if (!sites.hasOwnProperty(c.domain)) {
+        sites[c.domain] = quota.registrableDomain(c.domain);
+      }
+      (sites[c.domain] === site ? siteCookies : otherCookies).push(c);
+    });
+
+    var count = siteCookies.length;
+    var bytes = 0;
+    if (bytesPerDomain < Infinity) {
+      siteCookies.forEach(function(c) {
+        bytes += quota.cookieSize(c);
+      });
+    }
+    if (count > perDomain || bytes > bytesPerDomain) {
+      var countTarget = count > perDomain ? purgeTarget(perDomain) : perDomain;
+      var bytesTarget = bytes > bytesPerDomain ? purgeTarget(bytesPerDomain) : bytesPerDomain;
+      siteCookies.sort(compare);
+      while (siteCookies.length && (count > countTarget || bytes > bytesTarget)) {
+        var c = siteCookies.shift();
+        evict(c, count > countTarget ? 'maxCookiesPerDomain' : 'maxBytesPerDomain');
+        count--;
+        bytes -= quota.cookieSize(c);
+      }
+    }
+
+    // what's left after evicting for the registrable domain
+    var remaining = otherCookies.length + siteCookies.length;
+    if (remaining > total) {
+      var excess = remaining - purgeTarget(total);
+      otherCookies.concat(siteCookies)
+        .sort(compare)
+        .slice(0, excess)
+        .forEach(function(c) {
+          evict(c, 'maxCookies');
+        });
+    }
+
+    function removeNext(err) {
+      if (err) {
+        return cb(err);
+      }
+      if (!evicted.length) {
+        return cb(null);
+      }
+      var eviction = evicted.shift();
+      removeStoreCookie(store, eviction.cookie, function(err) {
+        if (!err && Array.isArray(options.evictions)) {
+          options.evictions.push(eviction);
+        }
+        removeNext(err);
+      });
+    }
+    removeNext(null);
+  }
+};
+
 CAN_BE_SYNC.push('setCookie');
 CookieJar.prototype.setCookie = function(cookie, url, options, cb) {
   var err;
@@ -909,16 +1816,56 @@ CookieJar.prototype.setCookie = function(cookie, url, options, cb) {
   if (options.loose != null) {
     loose = options.loose;
   }
+  var mode = options.mode || this.parseMode;
+  var diagnostics = Array.isArray(options.diagnostics) ? options.diagnostics : null;
+
+  var secure = options.secure;
+  if (secure == null) {
+    secure = context.protocol == 'https:' || context.protocol == 'wss:';
+  }
+
+  var sameSiteContext = null;
+  if (options.sameSiteContext != null) {
+    sameSiteContext = checkSameSiteContext(options.sameSiteContext);
+    if (!sameSiteContext) {
+      return cb(new Error(SAME_SITE_CONTEXT_VAL_ERR));
+    }
+  }
 
   // S5.3 step 1
+  var warnings = [];
   if (!(cookie instanceof Cookie)) {
-    cookie = Cookie.parse(cookie, { loose: loose });
+    var parsed;
+    try {
+      parsed = Cookie.parse(cookie, {
+        loose: loose,
+        mode: mode,
+        diagnostics: true
+      });
+    } catch (e) {
+      return cb(e);
+    }
+    cookie = parsed.cookie;
+    warnings = parsed.warnings;
+    if (diagnostics) {
+      Array.prototype.push.apply(diagnostics, warnings);
+    }
   }
   if (!cookie) {
     err = new Error("Cookie failed to parse");
+    err.warnings = warnings;
     return cb(options.ignoreError ? null : err);
   }
 
+  // Cookie objects given a non-string value get it encoded
+  if (typeof cookie.value !== 'string' && cookie.value != null) {
+    try {
+      cookie.setValue(cookie.value, { codec: options.codec || this.codec });
+    } catch (e) {
+      return cb(options.ignoreError ? null : e);
+    }
+  }
+
   // S5.3 step 2
   var now = options.now || new Date(); // will assign later to save effort in the face of errors
 
@@ -962,20 +1909,83 @@ CookieJar.prototype.setCookie = function(cookie, url, options, cb) {
   // S5.3 step 8: NOOP; secure attribute
   // S5.3 step 9: NOOP; httpOnly attribute
 
+  // RFC6265bis-02 S5.4 steps 15 & 16: cookie name prefixes
+  if (this.prefixSecurity !== PrefixSecurityEnum.DISABLED) {
+    if (!isSecurePrefixConditionMet(cookie, secure)) {
+      err = new Error("Cookie has __Secure- prefix but is not Secure or wasn't set from a secure origin");
+    } else if (!isHostPrefixConditionMet(cookie, secure)) {
+      err = new Error("Cookie has __Host- prefix but is not Secure, wasn't set from a secure origin, has a Domain or its Path is not '/'");
+    }
+    if (err) {
+      var silent = this.prefixSecurity === PrefixSecurityEnum.SILENT;
+      return cb(options.ignoreError || silent ? null : err);
+    }
+  }
+
+  // RFC2965 S3.3.2: "The request port was not in the list" means the cookie
+  // is rejected; a Port without a list means just the request port
+  if (cookie.port != null) {
+    var requestPort = getRequestPort(context);
+    if (cookie.port === true) {
+      cookie.port = [requestPort];
+    } else if (cookie.port.indexOf(requestPort) === -1) {
+      err = new Error("Cookie's Port list doesn't include the request port");
+      return cb(options.ignoreError ? null : err);
+    }
+  }
+
   // S5.3 step 10
   if (options.http === false && cookie.httpOnly) {
     err = new Error("Cookie is HttpOnly and this isn't an HTTP API");
     return cb(options.ignoreError ? null : err);
   }
 
+  // RFC6265bis-02 S5.4 step 13: "If the cookie's same-site-flag is not
+  // "None", and the cookie is being set from a context whose "site for
+  // cookies" is not an exact match for request-uri's host's registered
+  // domain, then abort these steps and ignore the newly created cookie
+  // entirely."
+  if (sameSiteContext === 'none' &&
+      cookie.sameSite && cookie.sameSite !== 'none')
+  {
+    err = new Error("Cookie is SameSite but this is a cross-site request");
+    return cb(options.ignoreError ? null : err);
+  }
+
   var store = this.store;
 
+  // CHIPS: partitioned cookies are keyed by the top-level site, which
+  // defaults to the site of the URL the cookie was set from
+  if (cookie.partitioned) {
+    if (!cookie.secure) {
+      err = new Error("Cookie is Partitioned but not Secure");
+      return cb(options.ignoreError ? null : err);
+    }
+    if (!store.supportsPartitions) {
+      // like a browser without CHIPS, keep the cookie unpartitioned, unless
+      // a partition was asked for
+      if (options.partitionKey != null) {
+        err = new Error("Cookie is Partitioned but the store doesn't support partitions");
+        return cb(options.ignoreError ? null : err);
+      }
+      cookie.partitionKey = null;
+    } else if (options.partitionKey != null) {
+      cookie.partitionKey = canonicalPartitionKey(options.partitionKey);
+    } else if (cookie.partitionKey == null) {
+      cookie.partitionKey = canonicalPartitionKey(context);
+    }
+  } else if (cookie.partitionKey != null) {
+    cookie.partitionKey = null;
+  }
+
   if (!store.updateCookie) {
     store.updateCookie = function(oldCookie, newCookie, cb) {
       this.putCookie(newCookie, cb);
     };
   }
 
+  var jar = this;
+
   function withCookie(err, oldCookie) {
     if (err) {
       return cb(err);
@@ -984,9 +1994,13 @@ CookieJar.prototype.setCookie = function(cookie, url, options, cb) {
     var next = function(err) {
       if (err) {
         return cb(err);
-      } else {
-        cb(null, cookie);
       }
+      jar._evictCookies(cookie, options, function(err) {
+        if (err) {
+          return cb(err);
+        }
+        cb(null, cookie);
+      });
     };
 
     if (oldCookie) {
@@ -1008,7 +2022,47 @@ CookieJar.prototype.setCookie = function(cookie, url, options, cb) {
     }
   }
 
-  store.findCookie(cookie.domain, cookie.path, cookie.key, withCookie);
+  if (cookie.partitionKey != null) {
+    store.findCookie(cookie.domain, cookie.path, cookie.key, cookie.partitionKey, withCookie);
+  } else {
+    store.findCookie(cookie.domain, cookie.path, cookie.key, withCookie);
+  }
+};
+
+CAN_BE_SYNC.push('setCookies');
+CookieJar.prototype.setCookies = function(cookies, url, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+
+  // Set-Cookie2 values can contain commas inside quoted-strings
+  var mode = options.mode || this.parseMode;
+  var pending = [];
+  (Array.isArray(cookies) ? cookies : [cookies]).forEach(function(cookie) {
+    if (cookie instanceof Cookie) {
+      pending.push(cookie);
+    } else {
+      pending = pending.concat(splitSetCookieString(cookie, { quoted: mode === 'rfc2965' }));
+    }
+  });
+
+  // in order, since later cookies replace earlier ones
+  var jar = this;
+  var results = [];
+  function setNext(err, cookie) {
+    if (err) {
+      return cb(err);
+    }
+    if (cookie) {
+      results.push(cookie);
+    }
+    if (!pending.length) {
+      return cb(null, results);
+    }
+    jar.setCookie(pending.shift(), url, options, setNext);
+  }
+  setNext(null);
 };
 
 // RFC6365 S5.4
@@ -1035,10 +2089,30 @@ CookieJar.prototype.getCookies = function(url, options, cb) {
     http = true;
   }
 
+  var sameSiteLevel = 0;
+  if (options.sameSiteContext != null) {
+    var sameSiteContext = checkSameSiteContext(options.sameSiteContext);
+    if (!sameSiteContext) {
+      return cb(new Error(SAME_SITE_CONTEXT_VAL_ERR));
+    }
+    sameSiteLevel = Cookie.sameSiteLevel[sameSiteContext];
+  }
+
   var now = options.now || Date.now();
   var expireCheck = options.expire !== false;
+  var sessionStart = options.sessionStart || null;
+  var requestPort = getRequestPort(context);
   var allPaths = !!options.allPaths;
   var store = this.store;
+  var lastAccessedThreshold = this.lastAccessedThreshold;
+
+  // CHIPS: besides unpartitioned cookies, only those partitioned under the
+  // top-level site are sent; by default that's the site of the URL itself
+  var partitionKey = null;
+  if (store.supportsPartitions) {
+    partitionKey = canonicalPartitionKey(
+      options.partitionKey != null ? options.partitionKey : context);
+  }
 
   function matchingCookie(c) {
     // "Either:
@@ -1074,17 +2148,39 @@ CookieJar.prototype.getCookies = function(url, options, cb) {
       return false;
     }
 
+    // RFC6265bis-02 S5.3.7: only send SameSite cookies when the request's
+    // context is at least as strict as the cookie asks for
+    if (sameSiteLevel) {
+      var cookieLevel = Cookie.sameSiteLevel[c.sameSite || 'none'];
+      if (cookieLevel > sameSiteLevel) {
+        return false;
+      }
+    }
+
+    // RFC2965 S3.3.4: "the request-port MUST belong to the portlist"
+    if (Array.isArray(c.port) && c.port.indexOf(requestPort) === -1) {
+      return false;
+    }
+
     // deferred from S5.3
     // non-RFC: allow retention of expired cookies by choice
     if (expireCheck && c.expiryTime() <= now) {
-      store.removeCookie(c.domain, c.path, c.key, function(){}); // result ignored
+      removeStoreCookie(store, c, function(){}); // result ignored
+      return false;
+    }
+
+    // RFC2965 S3.2.2 Discard: "the user agent SHOULD discard the cookie
+    // unconditionally when the user agent terminates", i.e. before the
+    // current session started
+    if (expireCheck && sessionStart && c.discard && c.creation < sessionStart) {
+      removeStoreCookie(store, c, function(){}); // result ignored
       return false;
     }
 
     return true;
   }
 
-  store.findCookies(host, allPaths ? null : path, function(err,cookies) {
+  function withCookies(err,cookies) {
     if (err) {
       return cb(err);
     }
@@ -1097,23 +2193,66 @@ CookieJar.prototype.getCookies = function(url, options, cb) {
     }
 
     // S5.4 part 3
-    var now = new Date();
+    var accessed = new Date(now);
     cookies.forEach(function(c) {
-      c.lastAccessed = now;
+      // write the access time through to the store, but not for every
+      // request: only when the stored one is older than the threshold
+      var stale = store.updateCookie && lastAccessedThreshold < Infinity &&
+        !(c.lastAccessed && accessed - c.lastAccessed < lastAccessedThreshold);
+      var oldCookie;
+      if (stale) {
+        oldCookie = c.clone();
+        oldCookie.creationIndex = c.creationIndex;
+      }
+      c.lastAccessed = accessed;
+      if (stale) {
+        store.updateCookie(oldCookie, c, function(){}); // result ignored
+      }
     });
-    // TODO persist lastAccessed
 
     cb(null,cookies);
-  });
+  }
+
+  if (partitionKey != null) {
+    store.findCookies(host, allPaths ? null : path, partitionKey, withCookies);
+  } else {
+    store.findCookies(host, allPaths ? null : path, withCookies);
+  }
 };
 
+// RFC2965 S3.3.4: the Cookie header with $Version and, for each cookie, the
+// Path, Domain and Port attributes it was set with
+function rfc2965CookieString(cookies) {
+  if (!cookies.length) {
+    return '';
+  }
+  var version = cookies[0].version != null ? cookies[0].version : 1;
+  var parts = ['$Version='+quote(version)];
+  cookies.forEach(function(c) {
+    parts.push(c.cookieString());
+    if (c.path && !c.pathIsDefault) {
+      parts.push('$Path='+quote(c.path));
+    }
+    if (c.domain && !c.hostOnly) {
+      parts.push('$Domain='+quote('.'+c.domain));
+    }
+    if (Array.isArray(c.port)) {
+      parts.push('$Port='+quote(c.port.join(',')));
+    }
+  });
+  return parts.join('; ');
+}
+
 CAN_BE_SYNC.push('getCookieString');
 CookieJar.prototype.getCookieString = function(/*..., cb*/) {
   var args = Array.prototype.slice.call(arguments,0);
   var cb = args.pop();
+  var options = args[1] instanceof Object ? args[1] : {};
   var next = function(err,cookies) {
     if (err) {
       cb(err);
+    } else if (options.mode === 'rfc2965') {
+      cb(null, rfc2965CookieString(cookies.sort(cookieCompare)));
     } else {
       cb(null, cookies
         .sort(cookieCompare)
@@ -1127,6 +2266,32 @@ CookieJar.prototype.getCookieString = function(/*..., cb*/) {
   this.getCookies.apply(this,args);
 };
 
+// Gives the decoded value of the cookie named `key` that would be sent first
+// in the Cookie header, or undefined if there isn't one
+CAN_BE_SYNC.push('getCookieValue');
+CookieJar.prototype.getCookieValue = function(url, key, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+  var codec = options.codec || this.codec;
+  try {
+    resolveCodec(codec);
+  } catch (e) {
+    return cb(e);
+  }
+
+  this.getCookies(url, options, function(err, cookies) {
+    if (err) {
+      return cb(err);
+    }
+    var found = cookies.sort(cookieCompare).filter(function(c) {
+      return c.key === key;
+    })[0];
+    cb(null, found ? found.getValue({ codec: codec }) : undefined);
+  });
+};
+
 CAN_BE_SYNC.push('getSetCookieStrings');
 CookieJar.prototype.getSetCookieStrings = function(/*..., cb*/) {
   var args = Array.prototype.slice.call(arguments,0);
@@ -1144,6 +2309,18 @@ CookieJar.prototype.getSetCookieStrings = function(/*..., cb*/) {
   this.getCookies.apply(this,args);
 };
 
+// Empties the jar, keeping the store
+CAN_BE_SYNC.push('removeAllCookies');
+CookieJar.prototype.removeAllCookies = function(cb) {
+  var store = this.store;
+
+  // stores that don't inherit from Store get its fallback too
+  if (typeof store.removeAllCookies === 'function') {
+    return store.removeAllCookies(cb);
+  }
+  Store.prototype.removeAllCookies.call(store, cb);
+};
+
 CAN_BE_SYNC.push('serialize');
 CookieJar.prototype.serialize = function(cb) {
   var type = this.store.constructor.name;
@@ -1275,6 +2452,277 @@ CookieJar.deserializeSync = function(strOrObj, store) {
 };
 CookieJar.fromJSON = CookieJar.deserializeSync;
 
+// Passes format(cookies), with every cookie in the jar's store, to cb; for
+// the export* methods
+function exportAllCookies(jar, format, cb) {
+  if (!(jar.store.getAllCookies &&
+        typeof jar.store.getAllCookies === 'function'))
+  {
+    return cb(new Error('store does not support getAllCookies and cannot be exported'));
+  }
+
+  jar.store.getAllCookies(function(err, cookies) {
+    if (err) {
+      return cb(err);
+    }
+    var result;
+    try {
+      result = format(cookies);
+    } catch (e) {
+      return cb(e);
+    }
+    cb(null, result);
+  });
+}
+
+// Netscape cookies.txt, as used by curl and wget
+CAN_BE_SYNC.push('exportNetscape');
+CookieJar.prototype.exportNetscape = function(options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+  exportAllCookies(this, function(cookies) {
+    return netscape.format(cookies, options);
+  }, cb);
+};
+
+// libwww-perl's Set-Cookie3 files, as used by Python's LWPCookieJar
+CAN_BE_SYNC.push('exportLWP');
+CookieJar.prototype.exportLWP = function(cb) {
+  exportAllCookies(this, lwp.format, cb);
+};
+
+// Apple's Cookies.binarycookies, as used by Safari and iOS apps
+CAN_BE_SYNC.push('exportBinaryCookies');
+CookieJar.prototype.exportBinaryCookies = function(cb) {
+  exportAllCookies(this, binarycookies.format, cb);
+};
+
+// Writes the persistent cookies into a Firefox profile's cookies.sqlite
+CAN_BE_SYNC.push('exportFirefox');
+CookieJar.prototype.exportFirefox = function(path, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+  exportAllCookies(this, function(cookies) {
+    firefox.writeCookies(path, cookies, options);
+  }, cb);
+};
+
+// Replays the cookies that the responses of a HAR file set, in entry order
+// and at the time of each entry, to rebuild the jar the browser had
+CAN_BE_SYNC.push('importHar');
+CookieJar.prototype.importHar = function(archive, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+
+  if (typeof archive === 'string') {
+    archive = jsonParse(archive);
+    if (archive instanceof Error) {
+      return cb(archive);
+    }
+  }
+  if (!archive || !archive.log || !Array.isArray(archive.log.entries)) {
+    return cb(new Error('HAR has no log.entries array'));
+  }
+
+  // a browser drops cookies it doesn't like, and so do we by default
+  var ignoreError = options.ignoreError !== false;
+
+  var pending = [];
+  archive.log.entries.forEach(function(entry) {
+    if (!entry.request || !entry.response) {
+      return;
+    }
+    var setOptions = {};
+    Object.keys(options).forEach(function(key) {
+      setOptions[key] = options[key];
+    });
+    setOptions.ignoreError = ignoreError;
+    var started = new Date(entry.startedDateTime);
+    if (!isNaN(started.getTime())) {
+      setOptions.now = started;
+    }
+
+    // the raw headers are more faithful than the parsed cookies
+    var cookies = har.setCookieHeaders(entry.response);
+    if (!cookies.length) {
+      cookies = (entry.response.cookies || []).map(Cookie.fromHar);
+    }
+    cookies.forEach(function(cookie) {
+      pending.push({ cookie: cookie, url: entry.request.url, options: setOptions });
+    });
+  });
+
+  var jar = this;
+  var results = [];
+  function setNext(err, cookie) {
+    if (err) {
+      return cb(err);
+    }
+    if (cookie) {
+      results.push(cookie);
+    }
+    if (!pending.length) {
+      return cb(null, results);
+    }
+    var next = pending.shift();
+    jar.setCookie(next.cookie, next.url, next.options, setNext);
+  }
+  setNext(null);
+};
+
+// getCookies() as the cookie objects of HAR files
+CAN_BE_SYNC.push('getHarCookies');
+CookieJar.prototype.getHarCookies = function(/*..., cb*/) {
+  var args = Array.prototype.slice.call(arguments,0);
+  var cb = args.pop();
+  var next = function(err,cookies) {
+    if (err) {
+      cb(err);
+    } else {
+      cb(null, cookies.map(function(c){
+        return c.toHar();
+      }));
+    }
+  };
+  args.push(next);
+  this.getCookies.apply(this,args);
+};
+
+// The cookies that WebDriver's "Add Cookie" can give a browser that is on
+// currentUrl: everything for that site, on any path
+CAN_BE_SYNC.push('getWebDriverCookies');
+CookieJar.prototype.getWebDriverCookies = function(url, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+
+  var getOptions = { allPaths: true };
+  Object.keys(options).forEach(function(key) {
+    getOptions[key] = options[key];
+  });
+  this.getCookies(url, getOptions, function(err, cookies) {
+    if (err) {
+      return cb(err);
+    }
+    cb(null, cookies.map(function(c) {
+      return c.toWebDriver();
+    }));
+  });
+};
+
+// Sets the cookies that WebDriver's "Get All Cookies" gave for currentUrl
+CAN_BE_SYNC.push('setWebDriverCookies');
+CookieJar.prototype.setWebDriverCookies = function(cookies, url, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+  this.setCookies(cookies.map(Cookie.fromWebDriver), url, options, cb);
+};
+
+// Creates a jar in store with the "raw" cookies that read() gives; for the
+// import* class methods
+function importRawCookies(read, store, cb) {
+  var cookies;
+  try {
+    cookies = read();
+  } catch (err) {
+    return cb(err);
+  }
+
+  var jar = new CookieJar(store);
+  jar._importCookies({ cookies: cookies }, function(err) {
+    if (err) {
+      return cb(err);
+    }
+    cb(null, jar);
+  });
+}
+
+function importRawCookiesSync(read, store) {
+  var jar = new CookieJar(store);
+
+  // catch this mistake early:
+  if (!jar.store.synchronous) {
+    throw new Error('CookieJar store is not synchronous; use async API instead.');
+  }
+
+  jar._importCookiesSync({ cookies: read() });
+  return jar;
+}
+
+CookieJar.importNetscape = function(text, store, cb) {
+  if (arguments.length !== 3) {
+    // store is optional
+    cb = store;
+    store = null;
+  }
+  importRawCookies(netscape.parse.bind(null, text), store, cb);
+};
+
+CookieJar.importNetscapeSync = function(text, store) {
+  return importRawCookiesSync(netscape.parse.bind(null, text), store);
+};
+
+CookieJar.importLWP = function(text, store, cb) {
+  if (arguments.length !== 3) {
+    // store is optional
+    cb = store;
+    store = null;
+  }
+  importRawCookies(lwp.parse.bind(null, text), store, cb);
+};
+
+CookieJar.importLWPSync = function(text, store) {
+  return importRawCookiesSync(lwp.parse.bind(null, text), store);
+};
+
+CookieJar.importBinaryCookies = function(buf, store, cb) {
+  if (arguments.length !== 3) {
+    // store is optional
+    cb = store;
+    store = null;
+  }
+  importRawCookies(binarycookies.parse.bind(null, buf), store, cb);
+};
+
+CookieJar.importBinaryCookiesSync = function(buf, store) {
+  return importRawCookiesSync(binarycookies.parse.bind(null, buf), store);
+};
+
+CookieJar.importChromium = function(path, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+  importRawCookies(chromium.readCookies.bind(null, path, options), options.store, cb);
+};
+
+CookieJar.importChromiumSync = function(path, options) {
+  options = options || {};
+  return importRawCookiesSync(chromium.readCookies.bind(null, path, options), options.store);
+};
+
+CookieJar.importFirefox = function(path, options, cb) {
+  if (options instanceof Function) {
+    cb = options;
+    options = {};
+  }
+  importRawCookies(firefox.readCookies.bind(null, path, options), options.store, cb);
+};
+
+CookieJar.importFirefoxSync = function(path, options) {
+  options = options || {};
+  return importRawCookiesSync(firefox.readCookies.bind(null, path, options), options.store);
+};
+
 CAN_BE_SYNC.push('clone');
 CookieJar.prototype.clone = function(newStore, cb) {
   if (arguments.length === 1) {
@@ -1286,7 +2734,7 @@ CookieJar.prototype.clone = function(newStore, cb) {
     if (err) {
       return cb(err);
     }
-    CookieJar.deserialize(newStore, serialized, cb);
+    CookieJar.deserialize(serialized, newStore, cb);
   });
 };
 
@@ -1312,9 +2760,46 @@ function syncWrap(method) {
   };
 }
 
-// wrap all declared CAN_BE_SYNC methods in the sync wrapper
+// Gives a Promise when called without a callback (in environments that
+// have them), keeping the callback API otherwise
+function promiseWrap(fn) {
+  return function() {
+    var args = Array.prototype.slice.call(arguments);
+    if (typeof Promise === 'undefined' ||
+        (args.length && args[args.length-1] instanceof Function))
+    {
+      return fn.apply(this, args);
+    }
+
+    var self = this;
+    return new Promise(function(resolve, reject) {
+      args.push(function(err, result) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(result);
+        }
+      });
+      fn.apply(self, args);
+    });
+  };
+}
+
+// wrap all declared CAN_BE_SYNC methods in the sync and promise wrappers
 CAN_BE_SYNC.forEach(function(method) {
   CookieJar.prototype[method+'Sync'] = syncWrap(method);
+  CookieJar.prototype[method] = promiseWrap(CookieJar.prototype[method]);
+});
+
+[
+  'deserialize',
+  'importNetscape',
+  'importLWP',
+  'importBinaryCookies',
+  'importChromium',
+  'importFirefox'
+].forEach(function(method) {
+  CookieJar[method] = promiseWrap(CookieJar[method]);
 });
 
 module.exports = {
@@ -1325,6 +2810,10 @@ module.exports = {
   parseDate: parseDate,
   formatDate: formatDate,
   parse: parse,
+  parseCookieHeader: parseCookieHeader,
+  splitSetCookieString: splitSetCookieString,
+  toStorageState: playwright.toStorageState,
+  fromStorageState: playwright.fromStorageState,
   fromJSON: fromJSON,
   domainMatch: domainMatch,
   defaultPath: defaultPath,
@@ -0,0 +1,254 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var openDatabase = require('./sqlite').openDatabase;
+var formats = require('./formats');
+
+// The moz_cookies table of a Firefox profile's cookies.sqlite, read and
+// written with the node:sqlite module of Node.js 22.13+.  See
+// netwerk/cookie/CookiePersistentStorage.cpp in Firefox.
+//
+// Domain cookies have a host with a leading dot and host-only cookies the
+// bare host.  expiry is in seconds since the epoch, while creationTime and
+// lastAccessed are in microseconds.  Firefox keeps session cookies out of
+// the database.
+
+// nsICookie::SAMESITE_*; 0 (NONE) is also what cookies without the attribute
+// get, so it's read as no attribute
+var SAME_SITE = { '1': 'lax', '2': 'strict' };
+var SAME_SITE_VALUES = { none: 0, lax: 1, strict: 2 };
+
+// schemeMap bits
+var SCHEME_HTTPS = 2;
+var SCHEME_ANY = 3; // http (1) and https (2)
+
+// the schema Firefox migrates up from when given a new database
+var SCHEMA_VERSION = 12;
+var CREATE_TABLE = 'CREATE TABLE moz_cookies (' +
+  'id INTEGER PRIMARY KEY, ' +
+  "originAttributes TEXT NOT NULL DEFAULT '', " +
+  'name TEXT, value TEXT, host TEXT, path TEXT, expiry INTEGER, ' +
+  'lastAccessed INTEGER, creationTime INTEGER, isSecure INTEGER, ' +
+  'isHttpOnly INTEGER, inBrowserElement INTEGER DEFAULT 0, ' +
+  'sameSite INTEGER DEFAULT 0, rawSameSite INTEGER DEFAULT 0, ' +
+  'schemeMap INTEGER DEFAULT 0, ' +
+  'CONSTRAINT moz_uniqueid UNIQUE (name, host, path, originAttributes))';
+
+// OriginAttributes suffixes look like
+// "^userContextId=2&partitionKey=%28https%2Cexample.org%29"
+function parseOriginAttributes(suffix) {
+  var attrs = {};
+  String(suffix || '').replace(/^\^/, '').split('&').forEach(function(pair) {
+    if (!pair) {
+      return;
+    }
+    var eq = pair.indexOf('=');
+    var key = eq === -1 ? pair : pair.slice(0, eq);
+    var value = eq === -1 ? '' : pair.slice(eq + 1);
+    attrs[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+  });
+  return attrs;
+}
+
+function formatOriginAttributes(attrs) {
+  var pairs = [];
+  // in the order of OriginAttributes::CreateSuffix()
+  ['userContextId', 'privateBrowsingId', 'firstPartyDomain', 'partitionKey'].forEach(function(key) {
+    if (attrs[key]) {
+      var value = encodeURIComponent(attrs[key]).replace(/\(/g, '%28').replace(/\)/g, '%29');
+      pairs.push(key + '=' + value);
+    }
+  });
+  return pairs.length ? '^' + pairs.join('&') : '';
+}
+
+// Firefox partition keys are "(scheme,site)", optionally with a port and
+// an "f" for a cross-site ancestor; ours are "scheme://site"
+function fromPartitionKey(key) {
+  var m = /^\(([^,()]+),([^,()]+)(?:,[^()]*)?\)$/.exec(key);
+  if (m) {
+    return m[1] + '://' + m[2];
+  }
+  return key;
+}
+
+function toPartitionKey(key) {
+  var m = /^([^:\/]+):\/\/([^\/:]+)/.exec(key);
+  return m ? '(' + m[1] + ',' + m[2] + ')' : key;
+}
+
+var MAX_TIME = 8640000000000000; // ms, the latest Date
+
+function microsToISO(time) {
+  return new Date(Number(time) / 1000).toISOString();
+}
+
+function toMicros(date) {
+  return date.getTime() * 1000;
+}
+
+// Reads the cookies of a cookies.sqlite as "raw" cookies, as found in the
+// `cookies` of a serialized CookieJar.  Only the cookies of the container
+// `options.userContextId` (default 0, none) are read.
+function readCookies(path, options) {
+  options = options || {};
+  var userContextId = String(options.userContextId || 0);
+
+  var db = openDatabase(path, { readOnly: true });
+  var rows;
+  try {
+    var select = db.prepare('SELECT * FROM moz_cookies ORDER BY creationTime');
+    // older versions of Firefox allowed expiry times past what a Date holds
+    select.setReadBigInts(true);
+    rows = select.all();
+  } finally {
+    db.close();
+  }
+
+  var cookies = [];
+  rows.forEach(function(row) {
+    var attrs = parseOriginAttributes(row.originAttributes);
+    if ((attrs.userContextId || '0') !== userContextId ||
+        (attrs.privateBrowsingId || '0') !== '0')
+    {
+      return;
+    }
+
+    var host = formats.parseDomain(row.host);
+    var cookie = {
+      key: row.name == null ? '' : String(row.name),
+      value: row.value == null ? '' : String(row.value),
+      domain: host.domain,
+      path: row.path || '/',
+      hostOnly: host.hostOnly,
+      expires: new Date(Math.min(Number(row.expiry) * 1000, MAX_TIME)).toISOString(),
+      creation: microsToISO(row.creationTime)
+    };
+    if (row.lastAccessed) {
+      cookie.lastAccessed = microsToISO(row.lastAccessed);
+    }
+    if (row.isSecure) {
+      cookie.secure = true;
+    }
+    if (row.isHttpOnly) {
+      cookie.httpOnly = true;
+    }
+    if (row.sameSite != null && SAME_SITE[row.sameSite]) {
+      cookie.sameSite = SAME_SITE[row.sameSite];
+    }
+    if (attrs.partitionKey) {
+      cookie.partitioned = true;
+      cookie.partitionKey = fromPartitionKey(attrs.partitionKey);
+    }
+    cookies.push(cookie);
+  });
+  return cookies;
+}
+
+// Writes Cookie objects into the moz_cookies table of a cookies.sqlite,
+// which is created if need be, replacing the rows of the same cookies.
+// Session cookies aren't written.  The cookies go into the container
+// `options.userContextId`.
+function writeCookies(path, cookies, options) {
+  options = options || {};
+  var now = options.now || new Date();
+
+  var db = openDatabase(path);
+  var inTransaction = false;
+  try {
+    var table = db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'moz_cookies'").get();
+    if (!table) {
+      db.exec(CREATE_TABLE);
+      db.exec('PRAGMA user_version = ' + SCHEMA_VERSION);
+    }
+    var columns = db.prepare('PRAGMA table_info(moz_cookies)').all().map(function(info) {
+      return info.name;
+    });
+
+    db.exec('BEGIN');
+    inTransaction = true;
+    cookies.forEach(function(cookie) {
+      if (!cookie.isPersistent()) {
+        return;
+      }
+      var expiry = cookie.expiryTime();
+      if (!isFinite(expiry)) {
+        return;
+      }
+
+      var creation = cookie.creation instanceof Date ? cookie.creation : now;
+      var lastAccessed = cookie.lastAccessed instanceof Date ? cookie.lastAccessed : creation;
+      var sameSite = SAME_SITE_VALUES[cookie.sameSite] || 0;
+      var row = {
+        originAttributes: formatOriginAttributes({
+          userContextId: options.userContextId,
+          partitionKey: cookie.partitionKey ? toPartitionKey(cookie.partitionKey) : null
+        }),
+        name: cookie.key,
+        value: cookie.value == null ? '' : String(cookie.value),
+        host: formats.formatDomain(cookie),
+        path: cookie.path || '/',
+        expiry: Math.floor(expiry / 1000),
+        lastAccessed: toMicros(lastAccessed),
+        creationTime: toMicros(creation),
+        isSecure: cookie.secure ? 1 : 0,
+        isHttpOnly: cookie.httpOnly ? 1 : 0,
+        sameSite: sameSite,
+        rawSameSite: sameSite,
+        schemeMap: cookie.secure ? SCHEME_HTTPS : SCHEME_ANY,
+        isPartitionedAttributeSet: cookie.partitioned ? 1 : 0
+      };
+      // newer schemas have more columns, and older ones fewer
+      var names = Object.keys(row).filter(function(name) {
+        return columns.indexOf(name) !== -1;
+      });
+      var values = {};
+      names.forEach(function(name) {
+        values[name] = row[name];
+      });
+      db.prepare('INSERT OR REPLACE INTO moz_cookies (' + names.join(', ') +
+        ') VALUES (' + names.map(function(name) { return '$' + name; }).join(', ') + ')')
+        .run(values);
+    });
+    db.exec('COMMIT');
+  } catch (err) {
+    if (inTransaction) {
+      db.exec('ROLLBACK');
+    }
+    throw err;
+  } finally {
+    db.close();
+  }
+}
+
+exports.readCookies = readCookies;
+exports.writeCookies = writeCookies;
@@ -0,0 +1,69 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+
+// What the cookie formats (cookies.txt, HAR, CDP, browser databases and so on)
+// have in common
+
+var SAME_SITE_CANONICAL = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+// "Strict", "Lax" or "None" for the sameSite of a cookie, or undefined
+function formatSameSite(sameSite) {
+  return SAME_SITE_CANONICAL.hasOwnProperty(sameSite) ?
+    SAME_SITE_CANONICAL[sameSite] : undefined;
+}
+
+// The sameSite of a cookie for a SameSite value in any case, or undefined if
+// it isn't one
+function parseSameSite(value) {
+  var sameSite = String(value || '').toLowerCase();
+  return SAME_SITE_CANONICAL.hasOwnProperty(sameSite) ? sameSite : undefined;
+}
+
+// Domain cookies are written with a leading dot and host-only cookies with
+// the bare host
+function formatDomain(cookie) {
+  return (cookie.hostOnly ? '' : '.') + (cookie.domain || '');
+}
+
+function parseDomain(value) {
+  var domain = String(value || '');
+  return {
+    domain: domain.replace(/^\./, '').toLowerCase(),
+    hostOnly: domain.charAt(0) !== '.'
+  };
+}
+
+exports.SAME_SITE_CANONICAL = SAME_SITE_CANONICAL;
+exports.formatSameSite = formatSameSite;
+exports.parseSameSite = parseSameSite;
+exports.formatDomain = formatDomain;
+exports.parseDomain = parseDomain;
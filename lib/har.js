@@ -0,0 +1,124 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var formats = require('./formats');
+
+// Cookie objects of the HTTP Archive format (HAR 1.2, section "cookies"):
+//
+//   { name, value, path, domain, expires, httpOnly, secure, comment }
+//
+// where expires is an ISO 8601 date.  Browser devtools also add "sameSite".
+// Domain cookies have the leading dot that browsers show them with.
+
+// Turns a Cookie into a HAR cookie object
+function toHar(cookie) {
+  var har = {
+    name: cookie.key,
+    value: cookie.value
+  };
+  if (cookie.path) {
+    har.path = cookie.path;
+  }
+  if (cookie.domain) {
+    har.domain = formats.formatDomain(cookie);
+  }
+  if (cookie.isPersistent()) {
+    var expiry = cookie.expiryTime();
+    if (isFinite(expiry)) {
+      har.expires = new Date(expiry).toISOString();
+    }
+  }
+  har.httpOnly = !!cookie.httpOnly;
+  har.secure = !!cookie.secure;
+  var sameSite = formats.formatSameSite(cookie.sameSite);
+  if (sameSite) {
+    har.sameSite = sameSite;
+  }
+  return har;
+}
+
+// Turns a HAR cookie object into the properties of a Cookie
+function fromHar(har) {
+  var props = {
+    key: har.name == null ? '' : String(har.name),
+    value: har.value == null ? '' : String(har.value)
+  };
+  if (har.path) {
+    props.path = har.path;
+  }
+  if (har.domain) {
+    // like the Domain attribute, unless it has the leading dot of a domain
+    // cookie
+    var domain = formats.parseDomain(har.domain);
+    if (!domain.hostOnly) {
+      props.hostOnly = false;
+    }
+    props.domain = domain.domain;
+  }
+  if (har.expires) {
+    var expires = new Date(har.expires);
+    if (!isNaN(expires.getTime())) {
+      props.expires = expires;
+    }
+  }
+  if (har.httpOnly) {
+    props.httpOnly = true;
+  }
+  if (har.secure) {
+    props.secure = true;
+  }
+  var sameSite = formats.parseSameSite(har.sameSite);
+  if (sameSite) {
+    props.sameSite = sameSite;
+  }
+  return props;
+}
+
+// The Set-Cookie header values of a HAR response, in order.  Firefox puts
+// several cookies into one header, separated by newlines.
+function setCookieHeaders(response) {
+  var values = [];
+  (response.headers || []).forEach(function(header) {
+    if (String(header.name).toLowerCase() !== 'set-cookie') {
+      return;
+    }
+    String(header.value).split('\n').forEach(function(value) {
+      if (value.trim()) {
+        values.push(value);
+      }
+    });
+  });
+  return values;
+}
+
+exports.toHar = toHar;
+exports.fromHar = fromHar;
+exports.setCookieHeaders = setCookieHeaders;
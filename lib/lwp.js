@@ -0,0 +1,259 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var formats = require('./formats');
+
+// The "#LWP-Cookies-2.0" files of libwww-perl, as read and written by
+// Python's http.cookiejar.LWPCookieJar.  Each cookie is a line like:
+//
+//   Set-Cookie3: sid="a b"; path="/"; domain=".example.com"; path_spec;
+//     secure; expires="2030-01-01 00:00:00Z"; HttpOnly=None; version=0
+//
+// (all on one line).  Domain cookies have a domain with a leading dot and
+// host-only cookies the bare host.  Cookies without an expires are session
+// cookies, which Python also marks with "discard".
+
+var MAGIC = /^#LWP-Cookies-(\d+\.\d+)/;
+var HEADER = '#LWP-Cookies-2.0\n';
+var LINE_PREFIX = 'Set-Cookie3:';
+
+// Python's http.cookiejar.split_header_words() for a single line: gives a
+// list of [name, value] pairs for each comma-separated header, with null for
+// the value of a lone token
+var HEADER_TOKEN = /^\s*([^=\s;,]+)/;
+var HEADER_QUOTED_VALUE = /^\s*=\s*"([^"\\]*(?:\\.[^"\\]*)*)"/;
+var HEADER_VALUE = /^\s*=\s*([^\s;,]*)/;
+
+function splitHeaderWords(text) {
+  var result = [];
+  var pairs = [];
+  var m;
+  while (text) {
+    m = HEADER_TOKEN.exec(text);
+    if (m) {
+      text = text.slice(m[0].length);
+      var name = m[1];
+      var value = null;
+      if ((m = HEADER_QUOTED_VALUE.exec(text))) {
+        text = text.slice(m[0].length);
+        value = m[1].replace(/\\(.)/g, '$1');
+      } else if ((m = HEADER_VALUE.exec(text))) {
+        text = text.slice(m[0].length);
+        value = m[1].replace(/\s+$/, '');
+      }
+      pairs.push([name, value]);
+    } else if (/^\s*,/.test(text)) {
+      // concatenated headers, as per RFC 2616 section 4.2
+      text = text.replace(/^\s*,/, '');
+      if (pairs.length) {
+        result.push(pairs);
+      }
+      pairs = [];
+    } else {
+      // skip junk
+      text = text.replace(/^[=\s;]+/, '');
+    }
+  }
+  if (pairs.length) {
+    result.push(pairs);
+  }
+  return result;
+}
+
+// Python's http.cookiejar.join_header_words() for a single header
+function joinHeaderWords(pairs) {
+  return pairs.map(function(pair) {
+    var value = pair[1];
+    if (value == null) {
+      return pair[0];
+    }
+    value = String(value);
+    if (!/^\w+$/.test(value)) {
+      value = '"' + value.replace(/(["\\])/g, '\\$1') + '"';
+    }
+    return pair[0] + '=' + value;
+  }).join('; ');
+}
+
+function pad(n) {
+  return n < 10 ? '0' + n : String(n);
+}
+
+// Python's http.cookiejar.time2isoz(): "YYYY-MM-DD hh:mm:ssZ"
+function time2isoz(date) {
+  return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' +
+    pad(date.getUTCDate()) + ' ' + pad(date.getUTCHours()) + ':' +
+    pad(date.getUTCMinutes()) + ':' + pad(date.getUTCSeconds()) + 'Z';
+}
+
+var ISO_TIME = /^(\d{4})-(\d\d)-(\d\d)[T ](\d\d):(\d\d):(\d\d)(?:\.\d+)?\s*(?:Z|UTC|GMT)?$/i;
+
+// null if the date can't be parsed, like Python's iso2time()
+function isoz2time(str) {
+  var m = ISO_TIME.exec(String(str).trim());
+  if (m) {
+    return new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+  }
+  var time = Date.parse(str);
+  return isNaN(time) ? null : new Date(time);
+}
+
+var BOOLEAN_ATTRS = ['port_spec', 'path_spec', 'domain_dot', 'secure', 'discard'];
+var VALUE_ATTRS = ['version', 'port', 'path', 'domain', 'expires', 'comment', 'commenturl'];
+
+// Parses an LWP file into "raw" cookies, as found in the `cookies` of a
+// serialized CookieJar.  Throws if the text doesn't start with the
+// "#LWP-Cookies-" line.
+function parse(text) {
+  var lines = String(text).split(/\r?\n/);
+  if (!MAGIC.test(lines[0])) {
+    throw new Error("Text does not look like a Set-Cookie3 (LWP) format file");
+  }
+
+  var cookies = [];
+  lines.slice(1).forEach(function(line) {
+    if (line.indexOf(LINE_PREFIX) !== 0) {
+      return;
+    }
+    splitHeaderWords(line.slice(LINE_PREFIX.length).trim()).forEach(function(data) {
+      var standard = {};
+      var rest = {};
+      data.slice(1).forEach(function(pair) {
+        var k = pair[0];
+        var lc = k.toLowerCase();
+        if (BOOLEAN_ATTRS.indexOf(lc) !== -1) {
+          standard[lc] = pair[1] == null ? true : pair[1];
+        } else if (VALUE_ATTRS.indexOf(lc) !== -1) {
+          standard[lc] = pair[1];
+        } else {
+          rest[lc] = pair[1];
+        }
+      });
+
+      if (!standard.domain) {
+        return; // can't be matched to anything
+      }
+      var domain = formats.parseDomain(standard.domain);
+      var cookie = {
+        key: data[0][0],
+        value: data[0][1] == null ? '' : data[0][1],
+        domain: domain.domain,
+        path: standard.path || '/',
+        hostOnly: domain.hostOnly,
+        pathIsDefault: !standard.path_spec
+      };
+      var expires = standard.expires != null ? isoz2time(standard.expires) : null;
+      if (expires) {
+        cookie.expires = expires.toISOString();
+        if (standard.discard) {
+          cookie.discard = true;
+        }
+      }
+      if (standard.secure) {
+        cookie.secure = true;
+      }
+      if (rest.hasOwnProperty('httponly')) {
+        cookie.httpOnly = true;
+      }
+      var sameSite = String(rest.samesite || '').toLowerCase();
+      if (sameSite === 'strict' || sameSite === 'lax' || sameSite === 'none') {
+        cookie.sameSite = sameSite;
+      }
+      if (standard.port && /^\d+(,\d+)*$/.test(standard.port)) {
+        cookie.port = standard.port.split(',').map(Number);
+      }
+      if (standard.version && +standard.version > 0) {
+        cookie.version = +standard.version;
+      }
+      if (standard.comment != null) {
+        cookie.comment = standard.comment;
+      }
+      if (standard.commenturl != null) {
+        cookie.commentURL = standard.commenturl;
+      }
+      cookies.push(cookie);
+    });
+  });
+  return cookies;
+}
+
+// Formats Cookie objects as an LWP file, like Python's lwp_cookie_str()
+function format(cookies) {
+  var lines = cookies.map(function(cookie) {
+    var h = [
+      [cookie.key, cookie.value == null ? '' : cookie.value],
+      ['path', cookie.path || '/'],
+      ['domain', formats.formatDomain(cookie)]
+    ];
+    if (Array.isArray(cookie.port)) {
+      h.push(['port', cookie.port.join(',')]);
+    }
+    if (cookie.path && !cookie.pathIsDefault) {
+      h.push(['path_spec', null]);
+    }
+    if (Array.isArray(cookie.port)) {
+      h.push(['port_spec', null]);
+    }
+    if (cookie.secure) {
+      h.push(['secure', null]);
+    }
+    var persistent = cookie.isPersistent();
+    if (persistent) {
+      var expiry = cookie.expiryTime();
+      if (isFinite(expiry)) {
+        h.push(['expires', time2isoz(new Date(expiry))]);
+      }
+    }
+    if (!persistent || cookie.discard) {
+      h.push(['discard', null]);
+    }
+    if (cookie.comment != null) {
+      h.push(['comment', cookie.comment]);
+    }
+    if (cookie.commentURL != null) {
+      h.push(['commenturl', cookie.commentURL]);
+    }
+    // Python keeps the non-standard attributes in Cookie._rest, sorted
+    if (cookie.httpOnly) {
+      h.push(['HttpOnly', 'None']);
+    }
+    if (cookie.sameSite) {
+      var sameSite = cookie.sameSite.charAt(0).toUpperCase() + cookie.sameSite.slice(1);
+      h.push(['SameSite', sameSite]);
+    }
+    h.push(['version', String(cookie.version || 0)]);
+    return LINE_PREFIX + ' ' + joinHeaderWords(h) + '\n';
+  });
+  return HEADER + lines.join('');
+}
+
+exports.parse = parse;
+exports.format = format;
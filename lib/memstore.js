@@ -32,35 +32,112 @@
 var Store = require('./store').Store;
 var permuteDomain = require('./permuteDomain').permuteDomain;
 var pathMatch = require('./pathMatch').pathMatch;
+var quota = require('./quota');
 var util = require('util');
 
 function MemoryCookieStore() {
   Store.call(this);
   this.idx = {};
+  this.partitions = {};
+  this.counts = { total: 0, sites: {}, domains: {}, sizes: {} };
 }
 util.inherits(MemoryCookieStore, Store);
 exports.MemoryCookieStore = MemoryCookieStore;
 MemoryCookieStore.prototype.idx = null;
+MemoryCookieStore.prototype.partitions = null; // partitionKey -> idx
+MemoryCookieStore.prototype.counts = null; // kept up to date for countCookies()
 
 // Since it's just a struct in RAM, this Store is synchronous
 MemoryCookieStore.prototype.synchronous = true;
 
+MemoryCookieStore.prototype.supportsPartitions = true;
+
 // force a default depth:
 MemoryCookieStore.prototype.inspect = function() {
-  return "{ idx: "+util.inspect(this.idx, false, 2)+' }';
+  return "{ idx: "+util.inspect(this.idx, false, 2)+
+    ", partitions: "+util.inspect(this.partitions, false, 3)+' }';
+};
+
+// Unpartitioned cookies live in this.idx, partitioned ones in an index of the
+// same shape for each partition.
+MemoryCookieStore.prototype._index = function(partitionKey, create) {
+  if (partitionKey == null) {
+    return this.idx;
+  }
+  if (!this.partitions[partitionKey] && create) {
+    this.partitions[partitionKey] = {};
+  }
+  return this.partitions[partitionKey] || null;
 };
 
-MemoryCookieStore.prototype.findCookie = function(domain, path, key, cb) {
-  if (!this.idx[domain]) {
+function entryId(partitionKey, domain, path, key) {
+  return JSON.stringify([partitionKey == null ? null : partitionKey, domain, path, key]);
+}
+
+// Counts the cookie stored at a place in (delta 1) or out (delta -1) of
+// this.counts.  A cookie can be changed in place after it's stored, so the
+// size it was counted in with is kept for counting it out, and the domain and
+// path are those of the place.  The registrable domain of each domain is kept
+// while it has cookies, since looking it up is slow.
+MemoryCookieStore.prototype._count = function(partitionKey, domain, path, key, delta) {
+  var id = entryId(partitionKey, domain, path, key);
+  var size;
+  if (delta > 0) {
+    size = quota.cookieSize(this._index(partitionKey)[domain][path][key]);
+    this.counts.sizes[id] = size;
+  } else {
+    size = this.counts.sizes[id] || 0;
+    delete this.counts.sizes[id];
+  }
+
+  var domainCounts = this.counts.domains[domain] ||
+    { site: quota.registrableDomain(domain), cookies: 0 };
+  domainCounts.cookies += delta;
+  if (domainCounts.cookies > 0) {
+    this.counts.domains[domain] = domainCounts;
+  } else {
+    delete this.counts.domains[domain];
+  }
+
+  var site = domainCounts.site;
+  var counts = this.counts.sites[site] || { cookies: 0, bytes: 0 };
+  counts.cookies += delta;
+  counts.bytes += delta * size;
+  if (counts.cookies > 0) {
+    this.counts.sites[site] = counts;
+  } else {
+    delete this.counts.sites[site];
+  }
+  this.counts.total += delta;
+};
+
+MemoryCookieStore.prototype._allIndexes = function() {
+  var partitions = this.partitions;
+  return [this.idx].concat(Object.keys(partitions).map(function(key) {
+    return partitions[key];
+  }));
+};
+
+MemoryCookieStore.prototype.findCookie = function(domain, path, key, partitionKey, cb) {
+  if (partitionKey instanceof Function) {
+    cb = partitionKey;
+    partitionKey = null;
+  }
+  var idx = this._index(partitionKey);
+  if (!idx || !idx[domain]) {
     return cb(null,undefined);
   }
-  if (!this.idx[domain][path]) {
+  if (!idx[domain][path]) {
     return cb(null,undefined);
   }
-  return cb(null,this.idx[domain][path][key]||null);
+  return cb(null,idx[domain][path][key]||null);
 };
 
-MemoryCookieStore.prototype.findCookies = function(domain, path, cb) {
+MemoryCookieStore.prototype.findCookies = function(domain, path, partitionKey, cb) {
+  if (partitionKey instanceof Function) {
+    cb = partitionKey;
+    partitionKey = null;
+  }
   var results = [];
   if (!domain) {
     return cb(null,[]);
@@ -94,27 +171,40 @@ MemoryCookieStore.prototype.findCookies = function(domain, path, cb) {
      };
   }
 
+  // unpartitioned cookies plus those in the requested partition
+  var indexes = [this.idx];
+  var partitionIdx = this._index(partitionKey);
+  if (partitionIdx && partitionIdx !== this.idx) {
+    indexes.push(partitionIdx);
+  }
+
   var domains = permuteDomain(domain) || [domain];
-  var idx = this.idx;
-  domains.forEach(function(curDomain) {
-    var domainIndex = idx[curDomain];
-    if (!domainIndex) {
-      return;
-    }
-    pathMatcher(domainIndex);
+  indexes.forEach(function(idx) {
+    domains.forEach(function(curDomain) {
+      var domainIndex = idx[curDomain];
+      if (!domainIndex) {
+        return;
+      }
+      pathMatcher(domainIndex);
+    });
   });
 
   cb(null,results);
 };
 
 MemoryCookieStore.prototype.putCookie = function(cookie, cb) {
-  if (!this.idx[cookie.domain]) {
-    this.idx[cookie.domain] = {};
+  var idx = this._index(cookie.partitionKey, true);
+  if (!idx[cookie.domain]) {
+    idx[cookie.domain] = {};
+  }
+  if (!idx[cookie.domain][cookie.path]) {
+    idx[cookie.domain][cookie.path] = {};
   }
-  if (!this.idx[cookie.domain][cookie.path]) {
-    this.idx[cookie.domain][cookie.path] = {};
+  if (idx[cookie.domain][cookie.path][cookie.key]) {
+    this._count(cookie.partitionKey, cookie.domain, cookie.path, cookie.key, -1);
   }
-  this.idx[cookie.domain][cookie.path][cookie.key] = cookie;
+  idx[cookie.domain][cookie.path][cookie.key] = cookie;
+  this._count(cookie.partitionKey, cookie.domain, cookie.path, cookie.key, 1);
   cb(null);
 };
 
@@ -125,37 +215,67 @@ MemoryCookieStore.prototype.updateCookie = function(oldCookie, newCookie, cb) {
   this.putCookie(newCookie,cb);
 };
 
-MemoryCookieStore.prototype.removeCookie = function(domain, path, key, cb) {
-  if (this.idx[domain] && this.idx[domain][path] && this.idx[domain][path][key]) {
-    delete this.idx[domain][path][key];
+MemoryCookieStore.prototype.removeCookie = function(domain, path, key, partitionKey, cb) {
+  if (partitionKey instanceof Function) {
+    cb = partitionKey;
+    partitionKey = null;
+  }
+  var idx = this._index(partitionKey);
+  if (idx && idx[domain] && idx[domain][path] && idx[domain][path][key]) {
+    this._count(partitionKey, domain, path, key, -1);
+    delete idx[domain][path][key];
   }
   cb(null);
 };
 
+// Removes the matching cookies from every partition
 MemoryCookieStore.prototype.removeCookies = function(domain, path, cb) {
-  if (this.idx[domain]) {
-    if (path) {
-      delete this.idx[domain][path];
-    } else {
-      delete this.idx[domain];
+  var store = this;
+  function uncount(partitionKey, curPath) {
+    var pathIndex = store._index(partitionKey)[domain][curPath];
+    for (var key in pathIndex) {
+      store._count(partitionKey, domain, curPath, key, -1);
     }
   }
+
+  [null].concat(Object.keys(this.partitions)).forEach(function(partitionKey) {
+    var idx = store._index(partitionKey);
+    if (idx[domain]) {
+      if (path) {
+        uncount(partitionKey, path);
+        delete idx[domain][path];
+      } else {
+        for (var curPath in idx[domain]) {
+          uncount(partitionKey, curPath);
+        }
+        delete idx[domain];
+      }
+    }
+  });
+  return cb(null);
+};
+
+MemoryCookieStore.prototype.removeAllCookies = function(cb) {
+  this.idx = {};
+  this.partitions = {};
+  this.counts = { total: 0, sites: {}, domains: {}, sizes: {} };
   return cb(null);
 };
 
 MemoryCookieStore.prototype.getAllCookies = function(cb) {
   var cookies = [];
-  var idx = this.idx;
-
-  var domains = Object.keys(idx);
-  domains.forEach(function(domain) {
-    var paths = Object.keys(idx[domain]);
-    paths.forEach(function(path) {
-      var keys = Object.keys(idx[domain][path]);
-      keys.forEach(function(key) {
-        if (key !== null) {
-          cookies.push(idx[domain][path][key]);
-        }
+
+  this._allIndexes().forEach(function(idx) {
+    var domains = Object.keys(idx);
+    domains.forEach(function(domain) {
+      var paths = Object.keys(idx[domain]);
+      paths.forEach(function(path) {
+        var keys = Object.keys(idx[domain][path]);
+        keys.forEach(function(key) {
+          if (key !== null) {
+            cookies.push(idx[domain][path][key]);
+          }
+        });
       });
     });
   });
@@ -168,3 +288,12 @@ MemoryCookieStore.prototype.getAllCookies = function(cb) {
 
   cb(null, cookies);
 };
+
+MemoryCookieStore.prototype.countCookies = function(site, cb) {
+  var counts = this.counts.sites[site] || { cookies: 0, bytes: 0 };
+  cb(null, {
+    total: this.counts.total,
+    siteCookies: counts.cookies,
+    siteBytes: counts.bytes
+  });
+};
@@ -0,0 +1,129 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var formats = require('./formats');
+
+// The Netscape cookies.txt format used by curl, wget, yt-dlp and Python's
+// http.cookiejar.MozillaCookieJar.  Each line has seven TAB-separated fields:
+//
+//   domain  include-subdomains  path  secure  expires  name  value
+//
+// where the booleans are "TRUE" or "FALSE" and expires is in seconds since
+// the epoch, with 0 (or, for MozillaCookieJar, empty) for session cookies.
+// curl marks HttpOnly cookies by prefixing the domain with "#HttpOnly_",
+// which older readers skip as a comment.
+
+var HEADER = '# Netscape HTTP Cookie File\n' +
+  '# https://curl.se/docs/http-cookies.html\n' +
+  '# This file was generated by tough-cookie!  Edit at your own risk.\n';
+
+var HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+// Parses cookies.txt into "raw" cookies, as found in the `cookies` of a
+// serialized CookieJar.  Comments and malformed lines are skipped.
+function parse(text) {
+  var cookies = [];
+  String(text).split(/\r?\n/).forEach(function(line) {
+    var httpOnly = false;
+    if (line.indexOf(HTTP_ONLY_PREFIX) === 0) {
+      httpOnly = true;
+      line = line.slice(HTTP_ONLY_PREFIX.length);
+    } else if (line.charAt(0) === '#' || !line.trim()) {
+      return;
+    }
+
+    var fields = line.split('\t');
+    if (fields.length === 6) {
+      fields.push(''); // some writers drop the TAB before an empty value
+    }
+    if (fields.length !== 7 || !fields[0] || !/^-?\d*$/.test(fields[4])) {
+      return;
+    }
+
+    var cookie = {
+      key: fields[5],
+      value: fields[6],
+      domain: formats.parseDomain(fields[0]).domain,
+      path: fields[2] || '/',
+      hostOnly: fields[1].toUpperCase() !== 'TRUE'
+    };
+    if (fields[3].toUpperCase() === 'TRUE') {
+      cookie.secure = true;
+    }
+    if (httpOnly) {
+      cookie.httpOnly = true;
+    }
+    var expires = parseInt(fields[4], 10);
+    if (expires) { // 0 or empty means a session cookie
+      cookie.expires = new Date(expires * 1000).toISOString();
+    }
+    cookies.push(cookie);
+  });
+  return cookies;
+}
+
+function flag(value) {
+  return value ? 'TRUE' : 'FALSE';
+}
+
+// Formats Cookie objects as cookies.txt
+function format(cookies, options) {
+  options = options || {};
+  // Python's MozillaCookieJar reads an expiry of 0 as long expired and
+  // drops the cookie; it needs "" for session cookies instead
+  var sessionExpiry = 'sessionExpiry' in options ? options.sessionExpiry : 0;
+
+  var lines = cookies.map(function(cookie) {
+    var domain = formats.formatDomain(cookie);
+    if (cookie.httpOnly) {
+      domain = HTTP_ONLY_PREFIX + domain;
+    }
+
+    var expiry = cookie.expiryTime();
+    var expires = expiry === Infinity ? sessionExpiry : Math.max(Math.floor(expiry / 1000), 1);
+
+    return [
+      domain,
+      flag(!cookie.hostOnly),
+      cookie.path || '/',
+      flag(cookie.secure),
+      expires,
+      cookie.key,
+      cookie.value
+    ].join('\t');
+  });
+  return HEADER + '\n' + lines.map(function(line) {
+    return line + '\n';
+  }).join('');
+}
+
+exports.parse = parse;
+exports.format = format;
@@ -0,0 +1,129 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var VERSION = require('../package.json').version;
+var formats = require('./formats');
+
+// Playwright's storageState JSON:
+//
+//   { cookies: [{ name, value, domain, path, expires, httpOnly, secure,
+//                 sameSite }],
+//     origins: [...] }
+//
+// where a domain with a leading dot is a domain cookie (not host-only),
+// expires is in seconds since the epoch (-1 for session cookies) and sameSite
+// is always one of "Strict", "Lax" or "None".
+
+// Seconds since the epoch when the "raw" serialized cookie expires, or -1
+function expiresSeconds(raw) {
+  if (raw.maxAge != null) {
+    if (raw.maxAge === 'Infinity') {
+      return -1;
+    }
+    // like Cookie.prototype.expiryTime(): "If delta-seconds is less than or
+    // equal to zero (0), let expiry-time be the earliest representable date"
+    var maxAge = Number(raw.maxAge);
+    if (maxAge <= 0) {
+      return 0;
+    }
+    var relativeTo = raw.creation ? Date.parse(raw.creation) : Date.now();
+    return relativeTo / 1000 + maxAge;
+  }
+  if (raw.expires && raw.expires !== 'Infinity') {
+    return Date.parse(raw.expires) / 1000;
+  }
+  return -1;
+}
+
+function parseJSON(strOrObj) {
+  return typeof strOrObj === 'string' ? JSON.parse(strOrObj) : strOrObj;
+}
+
+// Converts the output of CookieJar.serialize() to a storageState
+function toStorageState(serialized) {
+  serialized = parseJSON(serialized);
+  var cookies = (serialized.cookies || []).map(function(raw) {
+    return {
+      name: raw.key || '',
+      value: raw.value || '',
+      domain: formats.formatDomain(raw),
+      path: raw.path || '/',
+      expires: expiresSeconds(raw),
+      httpOnly: !!raw.httpOnly,
+      secure: !!raw.secure,
+      // Chromium's default, as Playwright reports it for cookies without one
+      sameSite: formats.formatSameSite(raw.sameSite) || 'Lax'
+    };
+  });
+  return { cookies: cookies, origins: [] };
+}
+
+// Converts a storageState to something CookieJar.deserialize() takes
+function fromStorageState(state) {
+  state = parseJSON(state);
+  var now = new Date().toISOString();
+  var cookies = (state.cookies || []).map(function(pw) {
+    var domain = formats.parseDomain(pw.domain);
+    var raw = {
+      key: pw.name,
+      value: pw.value,
+      domain: domain.domain,
+      path: pw.path || '/',
+      hostOnly: domain.hostOnly
+    };
+    if (pw.expires != null && pw.expires >= 0) {
+      raw.expires = new Date(pw.expires * 1000).toISOString();
+    }
+    if (pw.httpOnly) {
+      raw.httpOnly = true;
+    }
+    if (pw.secure) {
+      raw.secure = true;
+    }
+    var sameSite = formats.parseSameSite(pw.sameSite);
+    if (sameSite) {
+      raw.sameSite = sameSite;
+    }
+    raw.creation = now;
+    raw.lastAccessed = now;
+    return raw;
+  });
+
+  return {
+    version: 'tough-cookie@'+VERSION,
+    storeType: null,
+    rejectPublicSuffixes: true,
+    cookies: cookies
+  };
+}
+
+exports.toStorageState = toStorageState;
+exports.fromStorageState = fromStorageState;
@@ -40,11 +40,16 @@ exports.Store = Store;
 // API that converts from synchronous-callbacks to imperative style.
 Store.prototype.synchronous = false;
 
-Store.prototype.findCookie = function(domain, path, key, cb) {
+// Stores that can hold CHIPS partitioned cookies set this to `true` and
+// accept an optional `partitionKey` argument (before the callback) to
+// findCookie, findCookies and removeCookie.
+Store.prototype.supportsPartitions = false;
+
+Store.prototype.findCookie = function(domain, path, key, partitionKey, cb) {
   throw new Error('findCookie is not implemented');
 };
 
-Store.prototype.findCookies = function(domain, path, cb) {
+Store.prototype.findCookies = function(domain, path, partitionKey, cb) {
   throw new Error('findCookies is not implemented');
 };
 
@@ -58,7 +63,7 @@ Store.prototype.updateCookie = function(oldCookie, newCookie, cb) {
   throw new Error('updateCookie is not implemented');
 };
 
-Store.prototype.removeCookie = function(domain, path, key, cb) {
+Store.prototype.removeCookie = function(domain, path, key, partitionKey, cb) {
   throw new Error('removeCookie is not implemented');
 };
 
@@ -66,6 +71,44 @@ Store.prototype.removeCookies = function(domain, path, cb) {
   throw new Error('removeCookies is not implemented');
 };
 
+// Stores SHOULD implement this more efficiently; this fallback removes the
+// cookies that getAllCookies() gives one at a time.
+Store.prototype.removeAllCookies = function(cb) {
+  var store = this;
+  this.getAllCookies(function(err, cookies) {
+    if (err) {
+      return cb(err);
+    }
+    cookies = cookies.slice(); // do not modify the original
+
+    function removeNext(err) {
+      if (err) {
+        return cb(err);
+      }
+      if (!cookies.length) {
+        return cb(null);
+      }
+
+      var cookie = cookies.shift();
+      // only partitioned cookies have a partitionKey to pass along
+      if (cookie.partitionKey != null) {
+        store.removeCookie(cookie.domain, cookie.path, cookie.key, cookie.partitionKey, removeNext);
+      } else {
+        store.removeCookie(cookie.domain, cookie.path, cookie.key, removeNext);
+      }
+    }
+    removeNext(null);
+  });
+};
+
 Store.prototype.getAllCookies = function(cb) {
   throw new Error('getAllCookies is not implemented (therefore jar cannot be serialized)');
 };
+
+// Optional.  Gives {total, siteCookies, siteBytes}: how many cookies the
+// store has, and how many of them, with how many bytes of names and values,
+// have the registrable domain `site`.  CookieJar uses it to only look at
+// every cookie when one of its limits is exceeded.
+Store.prototype.countCookies = function(site, cb) {
+  throw new Error('countCookies is not implemented');
+};
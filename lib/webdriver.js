@@ -0,0 +1,101 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+"use strict";
+var formats = require('./formats');
+
+// The cookie JSON of the W3C WebDriver "Add Cookie" and "Get All Cookies"
+// commands (https://www.w3.org/TR/webdriver/#cookies):
+//
+//   { name, value, path, domain, secure, httpOnly, expiry, sameSite }
+//
+// where expiry is an integer number of seconds since the epoch, left out for
+// session cookies.  Browsers report domain cookies with a leading dot and
+// host-only cookies with the bare host.  When adding a cookie, any domain
+// makes a domain cookie, so host-only cookies must be added without one
+// while the browser is on their host.
+
+// Turns a Cookie into the JSON of "Add Cookie"
+function toWebDriver(cookie) {
+  var obj = {
+    name: cookie.key,
+    value: cookie.value == null ? '' : String(cookie.value),
+    path: cookie.path || '/'
+  };
+  if (cookie.domain && !cookie.hostOnly) {
+    obj.domain = formats.formatDomain(cookie);
+  }
+  obj.secure = !!cookie.secure;
+  obj.httpOnly = !!cookie.httpOnly;
+  if (cookie.isPersistent()) {
+    var expiry = cookie.expiryTime();
+    if (isFinite(expiry)) {
+      obj.expiry = Math.max(Math.floor(expiry / 1000), 0);
+    }
+  }
+  var sameSite = formats.formatSameSite(cookie.sameSite);
+  if (sameSite) {
+    obj.sameSite = sameSite;
+  }
+  return obj;
+}
+
+// Turns the JSON of "Get All Cookies" into the properties of a Cookie
+function fromWebDriver(obj) {
+  var props = {
+    key: obj.name == null ? '' : String(obj.name),
+    value: obj.value == null ? '' : String(obj.value)
+  };
+  if (obj.domain) {
+    var domain = formats.parseDomain(obj.domain);
+    props.hostOnly = domain.hostOnly;
+    props.domain = domain.domain;
+  }
+  if (obj.path) {
+    props.path = obj.path;
+  }
+  if (obj.secure) {
+    props.secure = true;
+  }
+  if (obj.httpOnly) {
+    props.httpOnly = true;
+  }
+  if (obj.expiry != null) {
+    props.expires = new Date(obj.expiry * 1000);
+  }
+  var sameSite = formats.parseSameSite(obj.sameSite);
+  if (sameSite) {
+    props.sameSite = sameSite;
+  }
+  return props;
+}
+
+exports.toWebDriver = toWebDriver;
+exports.fromWebDriver = fromWebDriver;
@@ -0,0 +1,180 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+// A typed, comma-separated list attribute and a flag attribute
+function registerAll() {
+  Cookie.registerAttribute('Auth-Scope', {
+    parse: function(value) {
+      if (!value) {
+        return undefined;
+      }
+      return value.split(',').map(function(s) {
+        return s.trim();
+      });
+    },
+    serialize: function(scopes) {
+      return scopes.join(',');
+    },
+    validate: function(scopes) {
+      return scopes.every(function(s) {
+        return /^[a-z]+$/.test(s);
+      });
+    }
+  });
+  Cookie.registerAttribute('Sticky');
+  Cookie.registerAttribute('Issued', {
+    property: 'issuedAt',
+    parse: function(value) {
+      var n = parseInt(value, 10);
+      return isNaN(n) ? undefined : new Date(n*1000);
+    },
+    serialize: function(date) {
+      return Math.floor(date.getTime()/1000);
+    },
+    toJSON: function(date) {
+      return date.toISOString();
+    },
+    fromJSON: function(str) {
+      return new Date(str);
+    }
+  });
+}
+
+function unregisterAll() {
+  Cookie.unregisterAttribute('Auth-Scope');
+  Cookie.unregisterAttribute('sticky');
+  Cookie.unregisterAttribute('Issued');
+}
+
+vows
+  .describe('Extension attribute registry')
+  .addBatch({
+    "With registered attributes": {
+      topic: function() {
+        registerAll();
+        return Cookie.parse('a=b; auth-scope=read, write; STICKY; Issued=1500000000; Other=1');
+      },
+      teardown: unregisterAll,
+      "parses into typed properties": function(c) {
+        assert.deepEqual(c.authScope, ['read', 'write']);
+        assert.strictEqual(c.sticky, true);
+        assert.equal(c.issuedAt.getTime(), 1500000000000);
+      },
+      "leaves unknown attributes in extensions": function(c) {
+        assert.deepEqual(c.extensions, ['Other=1']);
+      },
+      "defaults to null": function() {
+        var c = Cookie.parse('a=b');
+        assert.strictEqual(c.authScope, null);
+        assert.strictEqual(c.sticky, null);
+      },
+      "ignores attributes the parser rejects": function() {
+        var c = Cookie.parse('a=b; Issued=soon; Auth-Scope');
+        assert.strictEqual(c.issuedAt, null);
+        assert.strictEqual(c.authScope, null);
+        assert.ok(!c.extensions);
+      },
+      "serializes with toString": function(c) {
+        assert.equal(c.toString(),
+          'a=b; Auth-Scope=read,write; Sticky; Issued=1500000000; Other=1');
+      },
+      "can be set through the constructor": function() {
+        var c = new Cookie({key: 'a', value: 'b', sticky: true});
+        assert.equal(c.toString(), 'a=b; Sticky');
+      },
+      "round-trips through JSON": function(c) {
+        var json = JSON.stringify(c);
+        assert.match(json, /"issuedAt":"2017-07-14T02:40:00.000Z"/);
+        var copy = Cookie.fromJSON(json);
+        assert.deepEqual(copy.authScope, ['read', 'write']);
+        assert.strictEqual(copy.sticky, true);
+        assert.instanceOf(copy.issuedAt, Date);
+        assert.equal(copy.issuedAt.getTime(), 1500000000000);
+      },
+      "survives jar serialization": function() {
+        var jar = new CookieJar();
+        jar.setCookieSync('a=b; Auth-Scope=admin', 'http://example.com/');
+        var copy = CookieJar.deserializeSync(JSON.stringify(jar));
+        var cookies = copy.getCookiesSync('http://example.com/');
+        assert.deepEqual(cookies[0].authScope, ['admin']);
+      },
+      "is used by validate": function() {
+        assert.ok(Cookie.parse('a=b; Auth-Scope=read').validate());
+        assert.ok(!Cookie.parse('a=b; Auth-Scope=READ').validate());
+      },
+      "can't redefine built-in attributes": function() {
+        assert.throws(function() {
+          Cookie.registerAttribute('SameSite');
+        }, /already defined/);
+      },
+      "can't register twice": function() {
+        assert.throws(function() {
+          Cookie.registerAttribute('sticky');
+        }, /already defined/);
+      },
+      "can't shadow Cookie properties": function() {
+        assert.throws(function() {
+          Cookie.registerAttribute('X-Value', {property: 'value'});
+        }, /already defined/);
+      },
+      "rejects invalid names": function() {
+        assert.throws(function() {
+          Cookie.registerAttribute('a=b');
+        }, /Invalid/);
+      }
+    }
+  })
+  .addBatch({
+    "After unregistering": {
+      topic: function() {
+        return Cookie.parse('a=b; Sticky');
+      },
+      "attributes are extensions again": function(c) {
+        assert.deepEqual(c.extensions, ['Sticky']);
+        assert.ok(!('sticky' in c));
+      },
+      "properties are no longer serialized": function() {
+        assert.equal(Cookie.serializableProperties.indexOf('sticky'), -1);
+        assert.equal(Cookie.serializableProperties.indexOf('authScope'), -1);
+      },
+      "unregistering again is a no-op": function() {
+        assert.strictEqual(Cookie.unregisterAttribute('sticky'), false);
+      }
+    }
+  })
+  .export(module);
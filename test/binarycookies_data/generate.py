@@ -0,0 +1,70 @@
+#!/usr/bin/env python3
+# Writes Cookies.binarycookies, the fixture of test/binarycookies_test.js,
+# independently of lib/binarycookies.js.  Layout as in Safari's files: the
+# "cook" header with big-endian page sizes, pages of little-endian cookie
+# records, the checksum, the footer and the NSHTTPCookieAcceptPolicy plist,
+# with a page per domain.
+import plistlib
+import struct
+import calendar
+import os
+
+MAC_EPOCH = 978307200
+
+def mac_time(year, month, day):
+    return calendar.timegm((year, month, day, 0, 0, 0)) - MAC_EPOCH
+
+def record(domain, name, path, value, flags, expiry, creation):
+    strings = b''
+    offsets = []
+    for s in (domain, name, path, value):
+        offsets.append(56 + len(strings))
+        strings += s.encode('utf-8') + b'\0'
+    header = struct.pack('<IIII', 56 + len(strings), 0, flags, 0)
+    header += struct.pack('<IIII', *offsets)
+    header += struct.pack('<II', 0, 0)
+    header += struct.pack('<dd', expiry, creation)
+    return header + strings
+
+def page(records):
+    start = 4 + 4 + 4 * len(records) + 4
+    offsets = []
+    for r in records:
+        offsets.append(start)
+        start += len(r)
+    data = struct.pack('>I', 0x100) + struct.pack('<I', len(records))
+    data += b''.join(struct.pack('<I', o) for o in offsets)
+    data += struct.pack('<I', 0)
+    return data + b''.join(records)
+
+expires = mac_time(2031, 1, 1)
+created = mac_time(2026, 1, 1)
+
+pages = [
+    page([
+        record('.example.com', 'sid', '/', 'abc123', 1 | 4, expires, created),
+        record('.example.com', 'theme', '/', 'dark', 0, expires, created + 0.5),
+    ]),
+    page([
+        record('www.example.com', 'host', '/app', 'café', 0, expires, created + 1),
+    ]),
+    page([
+        record('example.org', 'secure', '/', '1', 1, expires, created + 2.5),
+    ]),
+]
+
+checksum = 0
+for p in pages:
+    for i in range(0, len(p), 4):
+        checksum += p[i]
+
+data = b'cook' + struct.pack('>I', len(pages))
+data += b''.join(struct.pack('>I', len(p)) for p in pages)
+data += b''.join(pages)
+data += struct.pack('>I', checksum)
+data += bytes.fromhex('071720050000004B')
+data += plistlib.dumps({'NSHTTPCookieAcceptPolicy': 2}, fmt=plistlib.FMT_BINARY)
+
+out = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'Cookies.binarycookies')
+with open(out, 'wb') as f:
+    f.write(data)
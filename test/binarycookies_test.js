@@ -0,0 +1,178 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+
+// written by binarycookies_data/generate.py
+var fixture = fs.readFileSync(path.join(__dirname, 'binarycookies_data', 'Cookies.binarycookies'));
+var FOOTER = '071720050000004b';
+
+// the file up to the footer, without the plist after it
+function withoutPlist(buf) {
+  var end = buf.toString('hex').indexOf(FOOTER) / 2 + FOOTER.length / 2;
+  return buf.slice(0, end);
+}
+
+function corrupt(offset) {
+  var buf = Buffer.concat([fixture]); // a copy
+  buf[offset] ^= 0xff;
+  return buf;
+}
+
+vows
+  .describe('Safari binarycookies')
+  .addBatch({
+    "importing a binarycookies file": {
+      topic: function() {
+        return CookieJar.importBinaryCookiesSync(fixture);
+      },
+      "imports every cookie": function(jar) {
+        assert.lengthOf(jar.serializeSync().cookies, 4);
+      },
+      "maps the records": function(jar) {
+        var sid = jar.getCookiesSync('https://www.example.com/')[0];
+        assert.equal(sid.key, 'sid');
+        assert.equal(sid.value, 'abc123');
+        assert.equal(sid.domain, 'example.com');
+        assert.equal(sid.path, '/');
+        assert.isFalse(sid.hostOnly);
+        assert.isTrue(sid.secure);
+        assert.isTrue(sid.httpOnly);
+        assert.equal(sid.expires.getTime(), Date.UTC(2031, 0, 1));
+        assert.equal(sid.creation.getTime(), Date.UTC(2026, 0, 1));
+      },
+      "host-only cookies": function(jar) {
+        var cookies = jar.getCookiesSync('http://www.example.com/app/');
+        assert.equal(cookies[0].key, 'host');
+        assert.equal(cookies[0].value, 'café');
+        assert.isTrue(cookies[0].hostOnly);
+        assert.isFalse(cookies[0].secure);
+        assert.isFalse(cookies[0].httpOnly);
+        assert.equal(jar.getCookieStringSync('http://sub.www.example.com/app/'), 'theme=dark');
+      },
+      "fractional creation times": function(jar) {
+        var cookies = jar.getCookiesSync('https://example.org/');
+        assert.lengthOf(cookies, 1);
+        assert.equal(cookies[0].creation.getTime(), Date.UTC(2026, 0, 1) + 2500);
+      }
+    },
+    "importing asynchronously": {
+      topic: function() {
+        CookieJar.importBinaryCookies(fixture, this.callback);
+      },
+      "gives a jar": function(jar) {
+        assert.instanceOf(jar, CookieJar);
+        assert.equal(jar.getCookieStringSync('http://www.example.com/'), 'theme=dark');
+      }
+    },
+    "importing something else": {
+      topic: function() {
+        CookieJar.importBinaryCookies(fixture.slice(4), this.callback);
+      },
+      "fails": function(err, jar) {
+        assert.instanceOf(err, Error);
+        assert.equal(err.message, 'Not a binarycookies file');
+        assert.isUndefined(jar);
+      }
+    },
+    "importing a corrupted file": function() {
+      // the first byte of the first domain, which the checksum covers
+      assert.throws(function() {
+        CookieJar.importBinaryCookiesSync(corrupt(8 + 3 * 4 + 12 + 4 * 2 + 56));
+      }, /checksum does not match/);
+    },
+    "importing a truncated file": function() {
+      assert.throws(function() {
+        CookieJar.importBinaryCookiesSync(fixture.slice(0, 100));
+      }, /truncated/);
+    }
+  })
+  .addBatch({
+    "exporting the imported file": {
+      topic: function() {
+        var jar = CookieJar.importBinaryCookiesSync(fixture);
+        return jar.exportBinaryCookiesSync();
+      },
+      "gives the same bytes": function(buf) {
+        assert.equal(buf.toString('hex'), withoutPlist(fixture).toString('hex'));
+      }
+    },
+    "exporting": {
+      topic: function() {
+        var jar = new CookieJar();
+        var now = new Date(Date.UTC(2030, 0, 1));
+        jar.setCookieSync('sid=abc; Domain=example.com; Secure; HttpOnly; Max-Age=60',
+                          'https://www.example.com/', {now: now});
+        jar.setCookieSync('session=yes', 'http://www.example.com/', {now: now});
+        this.jar = jar;
+        return jar.exportBinaryCookiesSync();
+      },
+      "leaves out session cookies": function(buf) {
+        var copy = CookieJar.importBinaryCookiesSync(buf);
+        var cookies = copy.serializeSync().cookies;
+        assert.lengthOf(cookies, 1);
+        assert.equal(cookies[0].key, 'sid');
+        assert.isTrue(cookies[0].secure);
+        assert.isTrue(cookies[0].httpOnly);
+        assert.equal(cookies[0].expires, new Date(Date.UTC(2030, 0, 1) + 60000).toISOString());
+      },
+      "asynchronously": {
+        topic: function(buf) {
+          var expected = buf;
+          this.jar.exportBinaryCookies(function(err, buf) {
+            this.callback(err, {actual: buf, expected: expected});
+          }.bind(this));
+        },
+        "works": function(result) {
+          assert.equal(result.actual.toString('hex'), result.expected.toString('hex'));
+        }
+      }
+    },
+    "exporting from a store without getAllCookies": {
+      topic: function() {
+        var store = new tough.Store();
+        store.synchronous = true;
+        return new CookieJar(store);
+      },
+      "fails": function(jar) {
+        assert.throws(function() {
+          jar.exportBinaryCookiesSync();
+        }, /getAllCookies is not implemented/);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,168 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+// as returned by Network.getCookies in Chrome 126
+var chromeCookie = {
+  name: 'sid',
+  value: 'abc123',
+  domain: '.example.com',
+  path: '/',
+  expires: 1924992000.25,
+  size: 9,
+  httpOnly: true,
+  secure: true,
+  session: false,
+  sameSite: 'Lax',
+  priority: 'High',
+  sameParty: false,
+  sourceScheme: 'Secure',
+  sourcePort: 443
+};
+
+var partitionedCookie = {
+  name: 'embed',
+  value: '1',
+  domain: 'widget.example.net',
+  path: '/',
+  expires: -1,
+  size: 6,
+  httpOnly: false,
+  secure: true,
+  session: true,
+  sameSite: 'None',
+  priority: 'Medium',
+  sameParty: false,
+  sourceScheme: 'Secure',
+  sourcePort: 443,
+  partitionKey: {topLevelSite: 'https://example.com', hasCrossSiteAncestor: false}
+};
+
+vows
+  .describe('Chrome DevTools Protocol cookies')
+  .addBatch({
+    "Cookie.fromCDP": {
+      topic: function() {
+        return Cookie.fromCDP(chromeCookie);
+      },
+      "maps the fields": function(c) {
+        assert.equal(c.key, 'sid');
+        assert.equal(c.value, 'abc123');
+        assert.equal(c.domain, 'example.com');
+        assert.isFalse(c.hostOnly);
+        assert.equal(c.path, '/');
+        assert.equal(c.expires.getTime(), 1924992000250);
+        assert.isTrue(c.httpOnly);
+        assert.isTrue(c.secure);
+        assert.equal(c.sameSite, 'lax');
+        assert.equal(c.priority, 'high');
+      },
+      "keeps the other fields aside": function(c) {
+        assert.deepEqual(c.cdp, {sameParty: false, sourceScheme: 'Secure', sourcePort: 443});
+      },
+      "round-trips": function(c) {
+        assert.deepEqual(c.toCDP(), chromeCookie);
+      },
+      "round-trips through JSON": function(c) {
+        assert.deepEqual(Cookie.fromJSON(JSON.stringify(c)).toCDP(), chromeCookie);
+      }
+    },
+    "a partitioned session cookie": {
+      topic: function() {
+        return Cookie.fromCDP(partitionedCookie);
+      },
+      "is host-only and partitioned": function(c) {
+        assert.isTrue(c.hostOnly);
+        assert.isTrue(c.partitioned);
+        assert.equal(c.partitionKey, 'https://example.com');
+        assert.isFalse(c.isPersistent());
+      },
+      "round-trips": function(c) {
+        assert.deepEqual(c.toCDP(), partitionedCookie);
+      },
+      "with an older string partitionKey": function() {
+        var old = JSON.parse(JSON.stringify(partitionedCookie));
+        old.partitionKey = 'https://example.com';
+        assert.deepEqual(Cookie.fromCDP(old).toCDP(), old);
+      }
+    },
+    "a cookie from the jar": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookieSync('a=b; Path=/app; SameSite=Strict; Max-Age=60', 'http://www.example.com/app/x',
+                          {now: new Date(Date.UTC(2030, 0, 1))});
+        return jar.getCookiesSync('http://www.example.com/app/', {now: new Date(Date.UTC(2030, 0, 1))})[0];
+      },
+      "toCDP has defaults for what the jar doesn't know": function(c) {
+        assert.deepEqual(c.toCDP(), {
+          name: 'a', value: 'b', domain: 'www.example.com', path: '/app',
+          expires: 1893456060, size: 2, httpOnly: false, secure: false,
+          session: false, sameSite: 'Strict', priority: 'Medium'
+        });
+      },
+      "toCDPParam uses a url for host-only cookies": function(c) {
+        assert.deepEqual(c.toCDPParam(), {
+          name: 'a', value: 'b', url: 'http://www.example.com/app', path: '/app',
+          secure: false, httpOnly: false, sameSite: 'Strict', expires: 1893456060,
+          priority: 'Medium'
+        });
+      },
+      "and back": function(c) {
+        var copy = Cookie.fromCDP(c.toCDPParam());
+        assert.equal(copy.domain, 'www.example.com');
+        assert.isTrue(copy.hostOnly);
+        assert.equal(copy.path, '/app');
+      }
+    },
+    "toCDPParam of a domain cookie": function() {
+      var c = Cookie.fromCDP(chromeCookie);
+      assert.deepEqual(c.toCDPParam(), {
+        name: 'sid', value: 'abc123', domain: '.example.com', path: '/',
+        secure: true, httpOnly: true, sameSite: 'Lax', expires: 1924992000.25,
+        priority: 'High', sameParty: false, sourceScheme: 'Secure', sourcePort: 443
+      });
+    },
+    "setting a CDP cookie in a jar": function() {
+      var jar = new CookieJar();
+      jar.setCookieSync(Cookie.fromCDP(partitionedCookie), 'https://widget.example.net/',
+                        {partitionKey: 'https://example.com'});
+      assert.equal(jar.getCookieStringSync('https://widget.example.net/',
+                                           {partitionKey: 'https://www.example.com/'}), 'embed=1');
+      assert.equal(jar.getCookieStringSync('https://widget.example.net/'), '');
+    }
+  })
+  .export(module);
@@ -0,0 +1,322 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+
+var sqlite;
+try {
+  sqlite = require('node:sqlite');
+} catch (e) {
+  sqlite = null;
+}
+
+// the tables of Chromium's sqlite_persistent_cookie_store.cc, schema 24
+var SCHEMA_24 = [
+  'CREATE TABLE meta(key LONGVARCHAR NOT NULL UNIQUE PRIMARY KEY, value LONGVARCHAR)',
+  'CREATE TABLE cookies(creation_utc INTEGER NOT NULL, host_key TEXT NOT NULL,' +
+    ' top_frame_site_key TEXT NOT NULL, name TEXT NOT NULL, value TEXT NOT NULL,' +
+    ' encrypted_value BLOB NOT NULL, path TEXT NOT NULL, expires_utc INTEGER NOT NULL,' +
+    ' is_secure INTEGER NOT NULL, is_httponly INTEGER NOT NULL,' +
+    ' last_access_utc INTEGER NOT NULL, has_expires INTEGER NOT NULL,' +
+    ' is_persistent INTEGER NOT NULL, priority INTEGER NOT NULL,' +
+    ' samesite INTEGER NOT NULL, source_scheme INTEGER NOT NULL,' +
+    ' source_port INTEGER NOT NULL, last_update_utc INTEGER NOT NULL,' +
+    ' source_type INTEGER NOT NULL, has_cross_site_ancestor INTEGER NOT NULL)'
+];
+
+// and of schema 7, from before secure and httponly were renamed
+var SCHEMA_7 = [
+  'CREATE TABLE meta(key LONGVARCHAR NOT NULL UNIQUE PRIMARY KEY, value LONGVARCHAR)',
+  'CREATE TABLE cookies (creation_utc INTEGER NOT NULL UNIQUE PRIMARY KEY,' +
+    ' host_key TEXT NOT NULL, name TEXT NOT NULL, value TEXT NOT NULL,' +
+    ' path TEXT NOT NULL, expires_utc INTEGER NOT NULL, secure INTEGER NOT NULL,' +
+    ' httponly INTEGER NOT NULL, last_access_utc INTEGER NOT NULL,' +
+    ' has_expires INTEGER NOT NULL DEFAULT 1, persistent INTEGER NOT NULL DEFAULT 1,' +
+    ' priority INTEGER NOT NULL DEFAULT 1, encrypted_value BLOB DEFAULT \'\')'
+];
+
+// the key of Chromium on Linux without a keyring
+var CBC_KEY = crypto.pbkdf2Sync('peanuts', 'saltysalt', 1, 16, 'sha1');
+var GCM_KEY = crypto.createHash('sha256').update('local state').digest();
+
+function chromeTime(date) {
+  return BigInt(date.getTime() + 11644473600000) * BigInt(1000);
+}
+
+function withHash(hostKey, value) {
+  var hash = crypto.createHash('sha256').update(hostKey).digest();
+  return Buffer.concat([hash, Buffer.from(value)]);
+}
+
+function encryptCBC(plain) {
+  var cipher = crypto.createCipheriv('aes-128-cbc', CBC_KEY, Buffer.alloc(16, ' '));
+  return Buffer.concat([Buffer.from('v10'), cipher.update(plain), cipher.final()]);
+}
+
+function encryptGCM(plain) {
+  var nonce = crypto.randomBytes(12);
+  var cipher = crypto.createCipheriv('aes-256-gcm', GCM_KEY, nonce);
+  var data = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([Buffer.from('v10'), nonce, data, cipher.getAuthTag()]);
+}
+
+var dir = sqlite && fs.mkdtempSync(path.join(os.tmpdir(), 'tough-chromium-'));
+if (dir) {
+  process.on('exit', function() {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+}
+var created = new Date(Date.UTC(2026, 0, 1));
+var accessed = new Date(Date.UTC(2026, 0, 2));
+var expires = new Date(Date.UTC(2031, 0, 1));
+
+function createDatabase(name, schema, version, rows) {
+  var file = path.join(dir, name);
+  var db = new sqlite.DatabaseSync(file);
+  schema.forEach(function(sql) {
+    db.exec(sql);
+  });
+  db.prepare("INSERT INTO meta VALUES ('version', ?)").run(String(version));
+  rows.forEach(function(row) {
+    var columns = Object.keys(row);
+    db.prepare('INSERT INTO cookies (' + columns.join(', ') + ') VALUES (' +
+      columns.map(function(column) { return '$' + column; }).join(', ') + ')')
+      .run(row);
+  });
+  db.close();
+  return file;
+}
+
+function row24(props) {
+  var row = {
+    creation_utc: chromeTime(created),
+    host_key: '.example.com',
+    top_frame_site_key: '',
+    name: 'sid',
+    value: '',
+    encrypted_value: Buffer.alloc(0),
+    path: '/',
+    expires_utc: chromeTime(expires),
+    is_secure: 0,
+    is_httponly: 0,
+    last_access_utc: chromeTime(accessed),
+    has_expires: 1,
+    is_persistent: 1,
+    priority: 1,
+    samesite: -1,
+    source_scheme: 2,
+    source_port: 443,
+    last_update_utc: chromeTime(created),
+    source_type: 0,
+    has_cross_site_ancestor: 0
+  };
+  Object.keys(props).forEach(function(key) {
+    row[key] = props[key];
+  });
+  return row;
+}
+
+var suite = vows.describe('Chromium Cookies database');
+
+if (!sqlite) {
+  suite.addBatch({
+    "without node:sqlite": {
+      topic: function() {
+        CookieJar.importChromium('Cookies', this.callback);
+      },
+      "importing fails": function(err, jar) {
+        assert.instanceOf(err, Error);
+        assert.match(err.message, /needs node:sqlite/);
+        assert.isUndefined(jar);
+      }
+    }
+  });
+} else {
+  var secondLater = new Date(created.getTime() + 1000);
+  var cbcFile = createDatabase('cbc', SCHEMA_24, 24, [
+    row24({
+      name: 'sid', value: '', is_secure: 1, is_httponly: 1, samesite: 1, priority: 2,
+      encrypted_value: encryptCBC(withHash('.example.com', 'secret value'))
+    }),
+    row24({
+      creation_utc: chromeTime(secondLater), host_key: 'www.example.com',
+      name: 'session', value: 'plain', path: '/app', expires_utc: 0,
+      has_expires: 0, is_persistent: 0, samesite: 0, priority: 0,
+      source_scheme: 1, source_port: 80
+    }),
+    row24({
+      creation_utc: chromeTime(new Date(created.getTime() + 2000)),
+      host_key: 'widget.example.net', top_frame_site_key: 'https://example.org',
+      name: 'chip', value: 'partitioned', is_secure: 1, samesite: 0,
+      has_cross_site_ancestor: 1
+    })
+  ]);
+  var gcmFile = createDatabase('gcm', SCHEMA_24, 24, [
+    row24({ encrypted_value: encryptGCM(withHash('.example.com', 'from windows')) })
+  ]);
+  var oldFile = createDatabase('old', SCHEMA_7, 7, [{
+    creation_utc: chromeTime(created), host_key: 'example.org', name: 'old',
+    value: 'timer', path: '/', expires_utc: chromeTime(expires), secure: 1,
+    httponly: 1, last_access_utc: chromeTime(accessed), has_expires: 1,
+    persistent: 1, priority: 1
+  }]);
+
+  suite.addBatch({
+    "importing with an AES-128-CBC key": {
+      topic: function() {
+        return CookieJar.importChromiumSync(cbcFile, {key: CBC_KEY});
+      },
+      "imports every row": function(jar) {
+        assert.lengthOf(jar.serializeSync().cookies, 3);
+      },
+      "decrypts values and drops the domain hash": function(jar) {
+        var sid = jar.getCookiesSync('https://www.example.com/')[0];
+        assert.equal(sid.key, 'sid');
+        assert.equal(sid.value, 'secret value');
+      },
+      "maps the columns": function(jar) {
+        var sid = jar.getCookiesSync('https://www.example.com/')[0];
+        assert.equal(sid.domain, 'example.com');
+        assert.isFalse(sid.hostOnly);
+        assert.equal(sid.path, '/');
+        assert.isTrue(sid.secure);
+        assert.isTrue(sid.httpOnly);
+        assert.equal(sid.sameSite, 'lax');
+        assert.equal(sid.priority, 'high');
+        assert.equal(sid.expires.getTime(), expires.getTime());
+        assert.equal(sid.creation.getTime(), created.getTime());
+        assert.deepEqual(sid.cdp, {sourceScheme: 'Secure', sourcePort: 443});
+      },
+      "host-only session cookies": function(jar) {
+        var cookies = jar.getCookiesSync('http://www.example.com/app/', {sameSiteContext: 'none'});
+        assert.lengthOf(cookies, 1);
+        var session = cookies[0];
+        assert.equal(session.key, 'session');
+        assert.equal(session.value, 'plain');
+        assert.isTrue(session.hostOnly);
+        assert.isFalse(session.isPersistent());
+        assert.equal(session.sameSite, 'none');
+        assert.equal(session.priority, 'low');
+        assert.deepEqual(session.cdp, {sourceScheme: 'NonSecure', sourcePort: 80});
+      },
+      "partitioned cookies": function(jar) {
+        var chip = jar.getCookiesSync('https://widget.example.net/',
+                                      {partitionKey: 'https://example.org'});
+        assert.lengthOf(chip, 1);
+        assert.isTrue(chip[0].partitioned);
+        assert.equal(chip[0].partitionKey, 'https://example.org');
+        assert.deepEqual(chip[0].toCDP().partitionKey,
+                         {topLevelSite: 'https://example.org', hasCrossSiteAncestor: true});
+      }
+    },
+    "importing with a decrypt function": {
+      topic: function() {
+        var hosts = this.hosts = [];
+        return CookieJar.importChromiumSync(cbcFile, {
+          decrypt: function(encrypted, hostKey) {
+            hosts.push(hostKey);
+            var decipher = crypto.createDecipheriv('aes-128-cbc', CBC_KEY, Buffer.alloc(16, ' '));
+            return Buffer.concat([decipher.update(encrypted.slice(3)), decipher.final()]);
+          }
+        });
+      },
+      "uses it for encrypted values": function(jar) {
+        assert.deepEqual(this.hosts, ['.example.com']);
+        assert.equal(jar.getCookieStringSync('https://example.com/'), 'sid=secret value');
+      }
+    },
+    "importing with an AES-256-GCM key": {
+      topic: function() {
+        CookieJar.importChromium(gcmFile, {key: GCM_KEY}, this.callback);
+      },
+      "decrypts values": function(jar) {
+        assert.instanceOf(jar, CookieJar);
+        assert.equal(jar.getCookieStringSync('https://example.com/'), 'sid=from windows');
+      }
+    },
+    "importing encrypted values without a key": {
+      topic: function() {
+        CookieJar.importChromium(cbcFile, this.callback);
+      },
+      "fails": function(err, jar) {
+        assert.instanceOf(err, Error);
+        assert.match(err.message, /is encrypted/);
+        assert.isUndefined(jar);
+      }
+    },
+    "importing with the wrong key": {
+      topic: function() {
+        CookieJar.importChromium(gcmFile, {key: CBC_KEY}, this.callback);
+      },
+      "fails": function(err, jar) {
+        assert.instanceOf(err, Error);
+        assert.isUndefined(jar);
+      }
+    },
+    "importing an old schema": {
+      topic: function() {
+        return CookieJar.importChromiumSync(oldFile);
+      },
+      "reads the old column names": function(jar) {
+        var cookies = jar.getCookiesSync('https://example.org/');
+        assert.lengthOf(cookies, 1);
+        assert.equal(cookies[0].value, 'timer');
+        assert.isTrue(cookies[0].hostOnly);
+        assert.isTrue(cookies[0].secure);
+        assert.isTrue(cookies[0].httpOnly);
+        assert.equal(cookies[0].expires.getTime(), expires.getTime());
+        assert.isNull(cookies[0].cdp);
+      }
+    },
+    "importing into an async store": {
+      topic: function() {
+        var store = new tough.MemoryCookieStore();
+        store.synchronous = false;
+        return store;
+      },
+      "needs the async API": function(store) {
+        assert.throws(function() {
+          CookieJar.importChromiumSync(cbcFile, {key: CBC_KEY, store: store});
+        }, /not synchronous/);
+      }
+    }
+  });
+}
+
+suite.export(module);
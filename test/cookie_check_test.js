@@ -0,0 +1,175 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+
+function codes(cookie, options) {
+  return cookie.check(options).map(function(v) {
+    return v.code;
+  });
+}
+
+vows
+  .describe('Cookie.check() and detailed validation')
+  .addBatch({
+    "a valid cookie": {
+      topic: function() {
+        return Cookie.parse('a=b; Expires=Wed, 09 Jun 2038 10:18:14 GMT; Max-Age=60; ' +
+                            'Domain=example.com; Path=/foo; Secure; HttpOnly; SameSite=Lax');
+      },
+      "has no violations": function(c) {
+        assert.deepEqual(c.check(), []);
+        assert.deepEqual(c.check({level: 'rfc6265bis'}), []);
+      },
+      "validates": function(c) {
+        assert.strictEqual(c.validate(), true);
+        assert.deepEqual(c.validate({detailed: true}), []);
+      }
+    },
+    "empty and quoted values": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: ''})), []);
+      assert.deepEqual(codes(new Cookie({key: 'a', value: '"b"'})), []);
+    },
+    "a bad key": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a b', value: 'c'})), ['KEY_INVALID']);
+      assert.deepEqual(codes(new Cookie({key: '', value: 'c'})), ['KEY_INVALID']);
+    },
+    "a bad value": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b,c'})), ['VALUE_INVALID']);
+    },
+    "a bad expires": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', expires: 'soon'})), ['EXPIRES_INVALID']);
+    },
+    "bad max-ages": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', maxAge: 0})), ['MAX_AGE_INVALID']);
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', maxAge: 1.5})), ['MAX_AGE_INVALID']);
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', maxAge: 'Infinity'})), []);
+    },
+    "a bad path": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', path: '/a\nb'})), ['PATH_INVALID']);
+    },
+    "domains": {
+      "with a trailing dot": function() {
+        assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', domain: 'example.com.'})),
+                         ['DOMAIN_TRAILING_DOT']);
+      },
+      "that are public suffixes": function() {
+        assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', domain: 'co.uk'})),
+                         ['DOMAIN_PUBLIC_SUFFIX']);
+      }
+    },
+    "non-boolean flags": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', secure: 'yes', httpOnly: 1})),
+                       ['SECURE_INVALID', 'HTTP_ONLY_INVALID']);
+    },
+    "unknown SameSite and Priority": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', sameSite: 'sometimes', priority: 'urgent'})),
+                       ['SAMESITE_INVALID', 'PRIORITY_INVALID']);
+    },
+    "bad extensions": function() {
+      assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', extensions: ['ok', 'bad\x01']})),
+                       ['EXTENSION_INVALID']);
+    },
+    "every violation is reported": {
+      topic: function() {
+        return new Cookie({key: 'a b', value: 'b c', domain: 'com', maxAge: -1})
+          .validate({detailed: true});
+      },
+      "with a code, property and message": function(violations) {
+        assert.deepEqual(violations.map(function(v) { return v.code; }),
+                         ['KEY_INVALID', 'VALUE_INVALID', 'MAX_AGE_INVALID', 'DOMAIN_PUBLIC_SUFFIX']);
+        assert.deepEqual(violations.map(function(v) { return v.property; }),
+                         ['key', 'value', 'maxAge', 'domain']);
+        violations.forEach(function(v) {
+          assert.isString(v.message);
+        });
+      }
+    },
+    "an unknown level": function() {
+      assert.throws(function() {
+        new Cookie({key: 'a', value: 'b'}).check({level: 'rfc2109'});
+      }, /Invalid validation level/);
+    }
+  })
+  .addBatch({
+    "at the rfc6265bis level": {
+      "prefixes": function() {
+        var bis = {level: 'rfc6265bis'};
+        assert.deepEqual(codes(Cookie.parse('__Secure-a=b'), bis), ['PREFIX_SECURE']);
+        assert.deepEqual(codes(Cookie.parse('__Secure-a=b; Secure'), bis), []);
+        assert.deepEqual(codes(Cookie.parse('__Host-a=b; Secure; Path=/'), bis), []);
+        assert.deepEqual(codes(Cookie.parse('__Host-a=b; Secure; Path=/; Domain=example.com'), bis),
+                         ['PREFIX_HOST']);
+        assert.deepEqual(codes(Cookie.parse('__Host-a=b; Secure'), bis), ['PREFIX_HOST']);
+        assert.deepEqual(codes(Cookie.parse('__Host-a=b')), []);
+      },
+      "insecure SameSite=None and Partitioned cookies": function() {
+        var bis = {level: 'rfc6265bis'};
+        assert.deepEqual(codes(Cookie.parse('a=b; SameSite=None; Partitioned'), bis),
+                         ['SAMESITE_NONE_INSECURE', 'PARTITIONED_INSECURE']);
+        assert.deepEqual(codes(Cookie.parse('a=b; SameSite=None; Partitioned; Secure'), bis), []);
+      },
+      "size limits": function() {
+        var bis = {level: 'rfc6265bis'};
+        var long = new Array(4097).join('x');
+        assert.deepEqual(codes(new Cookie({key: 'a', value: long}), bis), ['NAME_VALUE_TOO_LONG']);
+        assert.deepEqual(codes(new Cookie({key: 'a', value: 'b', path: '/' + long.substr(0, 1024)}), bis),
+                         ['ATTRIBUTE_TOO_LONG']);
+        assert.deepEqual(codes(new Cookie({key: 'a', value: long})), []);
+      },
+      "boolean validate": function() {
+        var c = Cookie.parse('a=b; SameSite=None');
+        assert.strictEqual(c.validate(), true);
+        assert.strictEqual(c.validate({level: 'rfc6265bis'}), false);
+      },
+      "validate without options keeps its old answers": function() {
+        var nameless = Cookie.parse('=abc', {loose: true});
+        assert.strictEqual(nameless.validate(), true);
+        assert.strictEqual(nameless.validate({level: 'rfc6265'}), false);
+
+        assert.strictEqual(Cookie.parse('a=').validate(), false);
+        assert.strictEqual(Cookie.parse('a=').validate({level: 'rfc6265'}), true);
+        assert.strictEqual(Cookie.parse('a="x"').validate(), false);
+        assert.deepEqual(codes(Cookie.parse('a="x"'), {level: 'legacy'}), ['VALUE_INVALID']);
+        assert.deepEqual(Cookie.parse('a="x"').validate({detailed: true}), []);
+
+        var c = Cookie.parse('a=b');
+        c.secure = 1;
+        assert.strictEqual(c.validate(), true);
+        assert.deepEqual(codes(c), ['SECURE_INVALID']);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,190 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+var weird = 'a b;c,d"e\\f=é☃';
+
+function roundTrip(name) {
+  return function() {
+    var c = new Cookie({key: 'k'});
+    c.setValue(weird, {codec: name});
+    assert.ok(c.validate(), c.value);
+    assert.equal(c.getValue({codec: name}), weird);
+  };
+}
+
+vows
+  .describe('Cookie value codecs')
+  .addBatch({
+    "without a codec": {
+      "getValue gives the raw value": function() {
+        assert.equal(new Cookie({key: 'k', value: 'a%20b'}).getValue(), 'a%20b');
+      },
+      "setValue stores a string": function() {
+        var c = new Cookie({key: 'k'});
+        c.setValue(42);
+        assert.strictEqual(c.value, '42');
+      }
+    },
+    "uri": {
+      "round-trips": roundTrip('uri'),
+      "percent-encodes": function() {
+        var c = new Cookie({key: 'k'});
+        c.setValue('a b', {codec: 'uri'});
+        assert.equal(c.value, 'a%20b');
+      },
+      "ignores malformed values": function() {
+        assert.isUndefined(Cookie.codecs.uri.decode('%E0%A4%A'));
+      }
+    },
+    "base64url": {
+      "round-trips": roundTrip('base64url'),
+      "has no padding": function() {
+        assert.equal(Cookie.codecs.base64url.encode('ÿþ'), 'w7_Dvg');
+        assert.equal(Cookie.codecs.base64url.encode('a'), 'YQ');
+      },
+      "ignores bad values": function() {
+        assert.isUndefined(Cookie.codecs.base64url.decode('a+b/'));
+        assert.isUndefined(Cookie.codecs.base64url.decode('abcde'));
+      }
+    },
+    "quoted": {
+      "wraps cookie-octets": function() {
+        var c = new Cookie({key: 'k'});
+        c.setValue('abc', {codec: 'quoted'});
+        assert.equal(c.value, '"abc"');
+        assert.ok(c.validate({level: 'rfc6265'}));
+        assert.ok(!c.validate()); // the legacy rules don't allow quotes
+        assert.equal(c.getValue({codec: 'quoted'}), 'abc');
+      },
+      "leaves unquoted values": function() {
+        assert.equal(Cookie.codecs.quoted.decode('abc'), 'abc');
+        assert.equal(Cookie.codecs.quoted.decode('"'), '"');
+      },
+      "can't encode other characters": function() {
+        assert.throws(function() {
+          Cookie.codecs.quoted.encode('a b');
+        }, /cookie-octets/);
+      }
+    },
+    "json": {
+      "round-trips": roundTrip('json'),
+      "round-trips objects": function() {
+        var c = new Cookie({key: 'k'});
+        var prefs = {theme: 'dark', langs: ['en', 'fr'], size: 1.5};
+        c.setValue(prefs, {codec: 'json'});
+        assert.ok(c.validate());
+        assert.deepEqual(c.getValue({codec: 'json'}), prefs);
+      },
+      "reads express cookies": function() {
+        // res.cookie('prefs', {a: 1}) in express
+        assert.deepEqual(Cookie.codecs.json.decode('j%3A%7B%22a%22%3A1%7D'), {a: 1});
+      },
+      "gives plain values as strings": function() {
+        assert.equal(Cookie.codecs.json.decode('hello%20world'), 'hello world');
+      },
+      "ignores bad JSON": function() {
+        assert.isUndefined(Cookie.codecs.json.decode('j%3A%7B'));
+      }
+    },
+    "custom codecs": function() {
+      var reverse = {
+        encode: function(v) { return v.split('').reverse().join(''); },
+        decode: function(v) { return v.split('').reverse().join(''); }
+      };
+      var c = new Cookie({key: 'k'});
+      c.setValue('abc', {codec: reverse});
+      assert.equal(c.value, 'cba');
+      assert.equal(c.getValue({codec: reverse}), 'abc');
+    },
+    "unknown codecs": function() {
+      assert.throws(function() {
+        new Cookie({key: 'k'}).getValue({codec: 'rot13'});
+      }, /Unknown codec/);
+      assert.throws(function() {
+        new Cookie({key: 'k'}).setValue('v', {codec: {}});
+      }, /encode and decode/);
+    }
+  })
+  .addBatch({
+    "a jar with a default codec": {
+      topic: function() {
+        var jar = new CookieJar(null, {codec: 'json'});
+        jar.setCookieSync(new Cookie({key: 'prefs', value: {theme: 'dark'}}),
+                          'http://example.com/');
+        jar.setCookieSync(new Cookie({key: 'plain', value: 'as-is'}),
+                          'http://example.com/');
+        jar.setCookieSync(new Cookie({key: 'n', value: 5}),
+                          'http://example.com/', {codec: 'uri'});
+        return jar;
+      },
+      "encodes non-string values": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://example.com/'),
+                     'prefs=j%3A%7B%22theme%22%3A%22dark%22%7D; plain=as-is; n=5');
+      },
+      "decodes with getCookieValue": function(jar) {
+        assert.deepEqual(jar.getCookieValueSync('http://example.com/', 'prefs'), {theme: 'dark'});
+        assert.equal(jar.getCookieValueSync('http://example.com/', 'n', {codec: 'uri'}), '5');
+        assert.isUndefined(jar.getCookieValueSync('http://example.com/', 'missing'));
+      },
+      "asynchronously too": {
+        topic: function(jar) {
+          jar.getCookieValue('http://example.com/', 'prefs', this.callback);
+        },
+        "works": function(value) {
+          assert.deepEqual(value, {theme: 'dark'});
+        }
+      }
+    },
+    "getCookieValue without a codec": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookieSync('a=1; Path=/', 'http://example.com/');
+        jar.setCookieSync('a=%202; Path=/foo', 'http://example.com/');
+        return jar.getCookieValueSync('http://example.com/foo', 'a');
+      },
+      "gives the raw value of the most specific cookie": function(value) {
+        assert.equal(value, '%202');
+      }
+    },
+    "an invalid codec option": function() {
+      assert.throws(function() {
+        return new CookieJar(null, {codec: 'rot13'});
+      }, /Unknown codec/);
+    }
+  })
+  .export(module);
@@ -0,0 +1,124 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var parseCookieHeader = tough.parseCookieHeader;
+
+vows
+  .describe('Parsing Cookie request headers')
+  .addBatch({
+    "simple": {
+      topic: function() {
+        return parseCookieHeader('a=1; b=2');
+      },
+      "gives the pairs in order": function(pairs) {
+        assert.deepEqual(pairs, [
+          {key: 'a', value: '1'},
+          {key: 'b', value: '2'}
+        ]);
+      }
+    },
+    "duplicate names": {
+      topic: function() {
+        return parseCookieHeader('sid=new; theme=dark; sid=old');
+      },
+      "are all kept, in order": function(pairs) {
+        assert.deepEqual(pairs.map(function(p) { return p.key+'='+p.value; }),
+                         ['sid=new', 'theme=dark', 'sid=old']);
+      }
+    },
+    "whitespace and separators": {
+      topic: function() {
+        return parseCookieHeader('  a = 1 ;b=2;;  ; c=  ');
+      },
+      "are tolerated": function(pairs) {
+        assert.deepEqual(pairs, [
+          {key: 'a', value: '1'},
+          {key: 'b', value: '2'},
+          {key: 'c', value: ''}
+        ]);
+      }
+    },
+    "values with = inside": {
+      topic: function() {
+        return parseCookieHeader('token=abc==; q="x=y"');
+      },
+      "keep everything after the first =": function(pairs) {
+        assert.equal(pairs[0].value, 'abc==');
+        assert.equal(pairs[1].value, '"x=y"');
+      }
+    },
+    "nameless cookies": {
+      "are skipped by default": function() {
+        assert.deepEqual(parseCookieHeader('a=1; bare; =c'), [
+          {key: 'a', value: '1'}
+        ]);
+      },
+      "are kept in loose mode": function() {
+        assert.deepEqual(parseCookieHeader('a=1; bare; =c', {loose: true}), [
+          {key: 'a', value: '1'},
+          {key: '', value: 'bare'},
+          {key: '', value: 'c'}
+        ]);
+      }
+    },
+    "control characters": {
+      "skip the pair": function() {
+        assert.deepEqual(parseCookieHeader('a=1\x01; b=2'), [
+          {key: 'b', value: '2'}
+        ]);
+      }
+    },
+    "empty input": {
+      "gives an empty list": function() {
+        assert.deepEqual(parseCookieHeader(''), []);
+        assert.deepEqual(parseCookieHeader(null), []);
+      }
+    },
+    "round-trip with getCookieString": {
+      topic: function() {
+        var jar = new tough.CookieJar();
+        jar.setCookieSync('a=1; Path=/', 'http://example.com/');
+        jar.setCookieSync('b=2; Path=/', 'http://example.com/');
+        return parseCookieHeader(jar.getCookieStringSync('http://example.com/'));
+      },
+      "works": function(pairs) {
+        assert.deepEqual(pairs, [
+          {key: 'a', value: '1'},
+          {key: 'b', value: '2'}
+        ]);
+      }
+    }
+  })
+  .export(module);
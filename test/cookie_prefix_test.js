@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+
+var secureUrl = 'https://www.example.com/some/path';
+var insecureUrl = 'http://www.example.com/some/path';
+
+function attempt(prefixSecurity, cookie, url) {
+  var jar = new CookieJar(null, {prefixSecurity: prefixSecurity});
+  var result = {};
+  try {
+    result.cookie = jar.setCookieSync(cookie, url);
+  } catch (e) {
+    result.error = e;
+  }
+  result.stored = jar.getCookiesSync(url, {allPaths: true}).length;
+  return result;
+}
+
+vows
+  .describe('Cookie name prefixes')
+  .addBatch({
+    "__Secure- prefix": {
+      "with Secure from a secure origin": function() {
+        var r = attempt('strict', '__Secure-sid=1; Secure', secureUrl);
+        assert.ok(r.cookie);
+        assert.equal(r.stored, 1);
+      },
+      "without Secure is rejected": function() {
+        var r = attempt('strict', '__Secure-sid=1', secureUrl);
+        assert.match(r.error.message, /__Secure-/);
+        assert.equal(r.stored, 0);
+      },
+      "from an insecure origin is rejected": function() {
+        var r = attempt('strict', '__Secure-sid=1; Secure', insecureUrl);
+        assert.match(r.error.message, /__Secure-/);
+        assert.equal(r.stored, 0);
+      },
+      "is case-sensitive": function() {
+        var r = attempt('strict', '__secure-sid=1', insecureUrl);
+        assert.ok(r.cookie);
+      },
+      "may have a Domain and Path": function() {
+        var r = attempt('strict', '__Secure-sid=1; Secure; Domain=example.com; Path=/some', secureUrl);
+        assert.ok(r.cookie);
+      }
+    },
+    "__Host- prefix": {
+      "host-only, Secure and Path=/": function() {
+        var r = attempt('strict', '__Host-sid=1; Secure; Path=/', secureUrl);
+        assert.ok(r.cookie);
+        assert.equal(r.stored, 1);
+      },
+      "with a Domain is rejected": function() {
+        var r = attempt('strict', '__Host-sid=1; Secure; Path=/; Domain=example.com', secureUrl);
+        assert.match(r.error.message, /__Host-/);
+        assert.equal(r.stored, 0);
+      },
+      "with a non-root Path is rejected": function() {
+        var r = attempt('strict', '__Host-sid=1; Secure; Path=/some', secureUrl);
+        assert.match(r.error.message, /__Host-/);
+      },
+      "with a default Path is rejected": function() {
+        var r = attempt('strict', '__Host-sid=1; Secure', secureUrl);
+        assert.match(r.error.message, /__Host-/);
+      },
+      "without Secure is rejected": function() {
+        var r = attempt('strict', '__Host-sid=1; Path=/', secureUrl);
+        assert.match(r.error.message, /__Host-/);
+      },
+      "from an insecure origin is rejected": function() {
+        var r = attempt('strict', '__Host-sid=1; Secure; Path=/', insecureUrl);
+        assert.match(r.error.message, /__Host-/);
+      }
+    },
+    "prefixSecurity modes": {
+      "silent is the default": function() {
+        assert.equal(new CookieJar().prefixSecurity, 'silent');
+      },
+      "silent drops the cookie without an error": function() {
+        var r = attempt('silent', '__Host-sid=1; Secure; Domain=example.com', secureUrl);
+        assert.ok(!r.error);
+        assert.strictEqual(r.cookie, undefined);
+        assert.equal(r.stored, 0);
+      },
+      "strict honours ignoreError": function() {
+        var jar = new CookieJar(null, {prefixSecurity: 'strict'});
+        var c = jar.setCookieSync('__Secure-sid=1', insecureUrl, {ignoreError: true});
+        assert.strictEqual(c, undefined);
+      },
+      "unsafe-disabled stores the cookie": function() {
+        var r = attempt('unsafe-disabled', '__Host-sid=1; Domain=example.com', insecureUrl);
+        assert.ok(r.cookie);
+        assert.equal(r.stored, 1);
+      },
+      "secure option overrides the URL scheme": function() {
+        var jar = new CookieJar(null, {prefixSecurity: 'strict'});
+        var c = jar.setCookieSync('__Secure-sid=1; Secure', insecureUrl, {secure: true});
+        assert.ok(c);
+      },
+      "invalid mode throws": function() {
+        assert.throws(function() {
+          return new CookieJar(null, {prefixSecurity: 'sometimes'});
+        }, /prefixSecurity/);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,147 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+var atNow = Date.now();
+
+function at(offset) {
+  return {now: new Date(atNow + offset)};
+}
+
+function keys(jar) {
+  return jar.serializeSync().cookies.map(function(c) {
+    return c.key;
+  }).sort();
+}
+
+vows
+  .describe('Cookie priority')
+  .addBatch({
+    "Parsing": {
+      "High": function() {
+        var c = Cookie.parse('a=b; Priority=High');
+        assert.strictEqual(c.priority, 'high');
+        assert.ok(!c.extensions);
+      },
+      "low, lower-case": function() {
+        assert.strictEqual(Cookie.parse('a=b; priority=low').priority, 'low');
+      },
+      "unknown value is ignored": function() {
+        var c = Cookie.parse('a=b; Priority=Urgent');
+        assert.strictEqual(c.priority, null);
+        assert.ok(!c.extensions);
+      },
+      "unset by default": function() {
+        assert.strictEqual(Cookie.parse('a=b').priority, null);
+      }
+    },
+    "Serialization": {
+      "toString canonicalizes": function() {
+        assert.equal(Cookie.parse('a=b; PRIORITY=medium').toString(),
+                     'a=b; Priority=Medium');
+      },
+      "toString omits unset": function() {
+        assert.equal(Cookie.parse('a=b').toString(), 'a=b');
+      },
+      "JSON round-trip": function() {
+        var json = JSON.stringify(Cookie.parse('a=b; Priority=Low'));
+        assert.match(json, /"priority":"low"/);
+        assert.strictEqual(Cookie.fromJSON(json).priority, 'low');
+      }
+    }
+  })
+  .addBatch({
+    "A jar with a per-domain limit": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxCookiesPerDomain: 3});
+        jar.setCookieSync('low=1; Priority=Low', 'http://example.com/', at(0));
+        jar.setCookieSync('high=1; Priority=High', 'http://example.com/', at(1));
+        jar.setCookieSync('old=1', 'http://www.example.com/', at(2));
+        jar.setCookieSync('new=1', 'http://example.com/', at(3));
+        jar.setCookieSync('other=1', 'http://example.net/', at(4));
+        return jar;
+      },
+      "evicts the low priority cookie first": function(jar) {
+        assert.deepEqual(keys(jar), ['high', 'new', 'old', 'other']);
+      },
+      "then evicts the least recently accessed": {
+        topic: function(jar) {
+          jar.getCookiesSync('http://www.example.com/');
+          jar.setCookieSync('newer=1', 'http://example.com/', at(5));
+          return jar;
+        },
+        "which is a medium priority cookie": function(jar) {
+          assert.deepEqual(keys(jar), ['high', 'newer', 'old', 'other']);
+        }
+      }
+    },
+    "A jar with the default limit": {
+      topic: function() {
+        var jar = new CookieJar();
+        for (var i = 0; i < 180; i++) {
+          jar.setCookieSync('c'+i+'=1', 'http://example.com/');
+        }
+        this.full = keys(jar).length;
+        jar.setCookieSync('c180=1', 'http://example.com/');
+        return jar;
+      },
+      "keeps up to 180 cookies": function() {
+        assert.equal(this.full, 180);
+      },
+      "then purges down to 162, like Chromium": function(jar) {
+        assert.equal(jar.maxCookiesPerDomain, 180);
+        var kept = keys(jar);
+        assert.equal(kept.length, 162);
+        assert.include(kept, 'c180');
+        assert.notInclude(kept, 'c18');
+        assert.include(kept, 'c19');
+      }
+    },
+    "A jar without a limit": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxCookiesPerDomain: Infinity});
+        for (var i = 0; i < 200; i++) {
+          jar.setCookieSync('c'+i+'=1', 'http://example.com/');
+        }
+        return jar;
+      },
+      "keeps everything": function(jar) {
+        assert.equal(keys(jar).length, 200);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,332 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var util = require('util');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+var Store = tough.Store;
+var MemoryCookieStore = tough.MemoryCookieStore;
+
+var atNow = Date.now();
+
+function at(offset, evictions) {
+  return {now: new Date(atNow + offset), evictions: evictions};
+}
+
+function keys(jar) {
+  return jar.serializeSync().cookies.map(function(c) {
+    return c.key;
+  }).sort();
+}
+
+// counts how often every cookie gets listed
+function ListingStore() {
+  MemoryCookieStore.call(this);
+  this.listings = 0;
+}
+util.inherits(ListingStore, MemoryCookieStore);
+ListingStore.prototype.getAllCookies = function(cb) {
+  this.listings++;
+  MemoryCookieStore.prototype.getAllCookies.call(this, cb);
+};
+
+function counts(store) {
+  var result;
+  store.countCookies('example.com', function(err, c) {
+    result = c;
+  });
+  return result;
+}
+
+function reported(evictions) {
+  return evictions.map(function(e) {
+    return [e.cookie.key, e.limit, e.expired];
+  });
+}
+
+vows
+  .describe('Cookie quotas')
+  .addBatch({
+    "The defaults": {
+      topic: function() {
+        return new CookieJar();
+      },
+      "are Chromium's": function(jar) {
+        assert.strictEqual(jar.maxCookiesPerDomain, 180);
+        assert.strictEqual(jar.maxCookies, 3000);
+        assert.strictEqual(jar.maxBytesPerDomain, Infinity);
+      }
+    },
+    "A domain over its limit": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxCookiesPerDomain: 3});
+        var evictions = this.evictions = [];
+        jar.setCookieSync('a=1', 'http://example.com/', at(0));
+        jar.setCookieSync('b=1', 'http://example.com/', at(1000));
+        jar.setCookieSync('short=1; Max-Age=1', 'http://example.com/', at(2000));
+        jar.setCookieSync('c=1', 'http://example.com/', at(10000, evictions));
+        jar.setCookieSync('d=1', 'http://example.com/', at(11000, evictions));
+        return jar;
+      },
+      "evicts expired cookies first, then the least recently accessed": function(jar) {
+        assert.deepEqual(keys(jar), ['b', 'c', 'd']);
+      },
+      "reports each eviction": function() {
+        assert.deepEqual(reported(this.evictions), [
+          ['short', 'maxCookiesPerDomain', true],
+          ['a', 'maxCookiesPerDomain', false]
+        ]);
+      }
+    },
+    "A domain over its byte budget": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxBytesPerDomain: 20});
+        var evictions = this.evictions = [];
+        jar.setCookieSync('a=12345', 'http://example.com/', at(0));
+        jar.setCookieSync('b=12345', 'http://www.example.com/', at(1000));
+        jar.setCookieSync('c=€', 'http://example.net/', at(2000));
+        jar.setCookieSync('d=12345', 'http://example.com/', at(3000, evictions));
+        jar.setCookieSync('e=1234567890', 'http://example.com/', at(4000, evictions));
+        return jar;
+      },
+      "evicts until the name and value bytes fit": function(jar) {
+        assert.deepEqual(keys(jar), ['c', 'd', 'e']);
+      },
+      "reports each eviction": function() {
+        assert.deepEqual(reported(this.evictions), [
+          ['a', 'maxBytesPerDomain', false],
+          ['b', 'maxBytesPerDomain', false]
+        ]);
+      }
+    },
+    "A jar over its global limit": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxCookies: 3});
+        var evictions = this.evictions = [];
+        jar.setCookieSync('a=1', 'http://example.com/', at(0));
+        jar.setCookieSync('b=1', 'http://example.net/', at(1000));
+        jar.setCookieSync('c=1; Priority=High', 'http://example.org/', at(2000));
+        jar.setCookieSync('d=1', 'http://example.edu/', at(4000, evictions));
+        jar.setCookieSync('e=1', 'http://example.edu/', at(5000, evictions));
+        return jar;
+      },
+      "evicts across domains": function(jar) {
+        assert.deepEqual(keys(jar), ['c', 'd', 'e']);
+      },
+      "reports each eviction": function() {
+        assert.deepEqual(reported(this.evictions), [
+          ['a', 'maxCookies', false],
+          ['b', 'maxCookies', false]
+        ]);
+      }
+    },
+    "Both limits at once": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxCookiesPerDomain: 2, maxCookies: 3});
+        var evictions = this.evictions = [];
+        jar.setCookieSync('a=1', 'http://example.net/', at(0));
+        jar.setCookieSync('b=1', 'http://example.com/', at(1000));
+        jar.setCookieSync('c=1', 'http://example.com/', at(2000));
+        jar.setCookieSync('d=1', 'http://example.com/', at(3000, evictions));
+        jar.setCookieSync('e=1', 'http://example.org/', at(4000, evictions));
+        return jar;
+      },
+      "enforces both": function(jar) {
+        assert.deepEqual(keys(jar), ['c', 'd', 'e']);
+      },
+      "reports which limit evicted each cookie": function() {
+        assert.deepEqual(reported(this.evictions), [
+          ['b', 'maxCookiesPerDomain', false],
+          ['a', 'maxCookies', false]
+        ]);
+      }
+    },
+    "A flood of cookies": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxCookiesPerDomain: 20, maxCookies: 50});
+        for (var i = 0; i < 500; i++) {
+          jar.setCookieSync('c' + i + '=1', 'http://d' + (i % 10) + '.example/', at(i));
+        }
+        return jar;
+      },
+      "keeps the newest cookies within the limits": function(jar) {
+        var kept = keys(jar);
+        assert.lengthOf(kept, 50);
+        kept.forEach(function(key) {
+          assert.ok(+key.slice(1) >= 450, key + ' should have been evicted');
+        });
+      }
+    },
+    "Setting cookies on a large jar": {
+      topic: function() {
+        var jar = new CookieJar(new ListingStore());
+        var i;
+        for (i = 0; i < 2000; i++) {
+          jar.setCookieSync('c' + i + '=1', 'http://www.site' + (i % 50) + '.com/', at(i));
+        }
+        this.belowLimits = jar.store.listings;
+        for (i = 0; i < 141; i++) {
+          jar.setCookieSync('more' + i + '=1', 'http://site0.com/', at(2000 + i));
+        }
+        this.overLimit = jar.store.listings;
+        for (i = 141; i < 159; i++) {
+          jar.setCookieSync('more' + i + '=1', 'http://site0.com/', at(2000 + i));
+        }
+        this.afterPurge = jar.store.listings;
+        return jar;
+      },
+      "doesn't list every cookie while within the limits": function() {
+        assert.strictEqual(this.belowLimits, 0);
+      },
+      "lists them once when a limit is exceeded": function() {
+        assert.strictEqual(this.overLimit, 1);
+      },
+      "and not again until the purged room is used up": function(jar) {
+        assert.strictEqual(this.afterPurge, 1);
+        var c = {};
+        jar.store.countCookies('site0.com', function(err, result) {
+          c = result;
+        });
+        assert.strictEqual(c.siteCookies, 180);
+        assert.strictEqual(c.total, 2000 + 159 - 19);
+      }
+    },
+    "A jar over its global limit purges a tenth": {
+      topic: function() {
+        var jar = new CookieJar(new ListingStore(), {maxCookies: 100});
+        var evictions = this.evictions = [];
+        for (var i = 0; i < 101; i++) {
+          jar.setCookieSync('c' + i + '=1', 'http://d' + (i % 10) + '.example/', at(i, evictions));
+        }
+        return jar;
+      },
+      "evicting the least recently accessed": function(jar) {
+        assert.strictEqual(jar.store.listings, 1);
+        assert.lengthOf(keys(jar), 90);
+        assert.deepEqual(reported(this.evictions).map(function(e) {
+          return e[0];
+        }), ['c0', 'c1', 'c2', 'c3', 'c4', 'c5', 'c6', 'c7', 'c8', 'c9', 'c10']);
+      }
+    },
+    "The defaults for a store without countCookies": {
+      topic: function() {
+        var store = new ListingStore();
+        store.countCookies = Store.prototype.countCookies;
+        var jar = new CookieJar(store, {maxBytesPerDomain: Infinity});
+        for (var i = 0; i < 100; i++) {
+          jar.setCookieSync('c' + i + '=1', 'http://example.com/', at(i));
+        }
+        return jar;
+      },
+      "are off": function(jar) {
+        assert.strictEqual(jar.maxCookiesPerDomain, Infinity);
+        assert.strictEqual(jar.maxCookies, Infinity);
+      },
+      "so its cookies are never listed": function(jar) {
+        assert.strictEqual(jar.store.listings, 0);
+      }
+    },
+    "A store without countCookies": {
+      topic: function() {
+        var store = new ListingStore();
+        store.countCookies = Store.prototype.countCookies;
+        var jar = new CookieJar(store, {maxCookiesPerDomain: 2});
+        jar.setCookieSync('a=1', 'http://example.com/', at(0));
+        jar.setCookieSync('b=1', 'http://example.com/', at(1000));
+        jar.setCookieSync('c=1', 'http://example.com/', at(2000));
+        return jar;
+      },
+      "has its cookies listed on every set": function(jar) {
+        assert.strictEqual(jar.store.listings, 3);
+        assert.deepEqual(keys(jar), ['b', 'c']);
+      }
+    },
+    "MemoryCookieStore's counts": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookieSync('a=1', 'http://example.com/');
+        jar.setCookieSync('b=12345', 'http://www.example.com/');
+        jar.setCookieSync('c=1', 'http://example.net/');
+        jar.setCookieSync('p=1; Secure; Partitioned', 'https://sub.example.com/',
+                          {partitionKey: 'https://shop.example'});
+        return jar;
+      },
+      "count the cookies of a registrable domain": function(jar) {
+        assert.deepEqual(counts(jar.store), {total: 4, siteCookies: 3, siteBytes: 2 + 6 + 2});
+      },
+      "follow replaced cookies": function(jar) {
+        jar.setCookieSync('b=1', 'http://www.example.com/');
+        assert.deepEqual(counts(jar.store), {total: 4, siteCookies: 3, siteBytes: 6});
+      },
+      "follow removed cookies": function(jar) {
+        jar.store.removeCookie('example.com', '/', 'a', function() {});
+        assert.deepEqual(counts(jar.store), {total: 3, siteCookies: 2, siteBytes: 4});
+        jar.store.removeCookies('sub.example.com', null, function() {});
+        assert.deepEqual(counts(jar.store), {total: 2, siteCookies: 1, siteBytes: 2});
+        jar.removeAllCookiesSync();
+        assert.deepEqual(counts(jar.store), {total: 0, siteCookies: 0, siteBytes: 0});
+      }
+    },
+    "MemoryCookieStore's counts of a cookie changed in place": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookieSync('a=1', 'http://example.com/');
+        jar.setCookieSync('b=1', 'http://example.com/');
+        var cookie = jar.getCookiesSync('http://example.com/')[0];
+        cookie.value = new Array(60).join('x');
+        jar.setCookieSync(cookie, 'http://example.com/');
+        return jar;
+      },
+      "are of the cookie as it's stored": function(jar) {
+        assert.deepEqual(counts(jar.store), {total: 2, siteCookies: 2, siteBytes: 60 + 2});
+      },
+      "after it's removed": function(jar) {
+        jar.store.removeCookies('example.com', '/', function() {});
+        assert.deepEqual(counts(jar.store), {total: 0, siteCookies: 0, siteBytes: 0});
+      }
+    },
+    "Without limits": {
+      topic: function() {
+        var jar = new CookieJar(null, {maxCookiesPerDomain: Infinity, maxCookies: Infinity});
+        for (var i = 0; i < 200; i++) {
+          jar.setCookieSync('c' + i + '=1', 'http://example.com/');
+        }
+        return jar;
+      },
+      "keeps everything": function(jar) {
+        assert.lengthOf(keys(jar), 200);
+      }
+    }
+  })
+  .export(module);
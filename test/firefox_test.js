@@ -0,0 +1,304 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+
+var sqlite;
+try {
+  sqlite = require('node:sqlite');
+} catch (e) {
+  sqlite = null;
+}
+
+// moz_cookies of a recent Firefox
+var SCHEMA = 'CREATE TABLE moz_cookies (id INTEGER PRIMARY KEY,' +
+  " originAttributes TEXT NOT NULL DEFAULT '', name TEXT, value TEXT," +
+  ' host TEXT, path TEXT, expiry INTEGER, lastAccessed INTEGER,' +
+  ' creationTime INTEGER, isSecure INTEGER, isHttpOnly INTEGER,' +
+  ' inBrowserElement INTEGER DEFAULT 0, sameSite INTEGER DEFAULT 0,' +
+  ' rawSameSite INTEGER DEFAULT 0, schemeMap INTEGER DEFAULT 0,' +
+  ' isPartitionedAttributeSet INTEGER DEFAULT 0,' +
+  ' CONSTRAINT moz_uniqueid UNIQUE (name, host, path, originAttributes))';
+
+var dir = sqlite && fs.mkdtempSync(path.join(os.tmpdir(), 'tough-firefox-'));
+if (dir) {
+  process.on('exit', function() {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+}
+var created = new Date(Date.UTC(2026, 0, 1));
+var accessed = new Date(Date.UTC(2026, 0, 2));
+var expires = new Date(Date.UTC(2031, 0, 1));
+
+function insert(db, row) {
+  var columns = Object.keys(row);
+  db.prepare('INSERT INTO moz_cookies (' + columns.join(', ') + ') VALUES (' +
+    columns.map(function(column) { return '$' + column; }).join(', ') + ')')
+    .run(row);
+}
+
+function mozRow(props) {
+  var row = {
+    originAttributes: '',
+    name: 'sid',
+    value: 'abc',
+    host: '.example.com',
+    path: '/',
+    expiry: expires.getTime() / 1000,
+    lastAccessed: accessed.getTime() * 1000,
+    creationTime: created.getTime() * 1000,
+    isSecure: 0,
+    isHttpOnly: 0,
+    sameSite: 0,
+    rawSameSite: 0,
+    schemeMap: 2
+  };
+  Object.keys(props).forEach(function(key) {
+    row[key] = props[key];
+  });
+  return row;
+}
+
+function readRows(file) {
+  var db = new sqlite.DatabaseSync(file, {readOnly: true});
+  var rows = db.prepare('SELECT * FROM moz_cookies ORDER BY name').all();
+  db.close();
+  return rows;
+}
+
+var suite = vows.describe('Firefox cookies.sqlite');
+
+if (!sqlite) {
+  suite.addBatch({
+    "without node:sqlite": {
+      topic: function() {
+        CookieJar.importFirefox('cookies.sqlite', this.callback);
+      },
+      "importing fails": function(err, jar) {
+        assert.instanceOf(err, Error);
+        assert.match(err.message, /needs node:sqlite/);
+        assert.isUndefined(jar);
+      }
+    }
+  });
+} else {
+  var profileFile = path.join(dir, 'profile.sqlite');
+  var db = new sqlite.DatabaseSync(profileFile);
+  db.exec(SCHEMA);
+  insert(db, mozRow({ isSecure: 1, isHttpOnly: 1, sameSite: 1, rawSameSite: 1 }));
+  insert(db, mozRow({
+    name: 'host', value: '1', host: 'www.example.com', path: '/app',
+    sameSite: 2, rawSameSite: 2, schemeMap: 1,
+    creationTime: created.getTime() * 1000 + 1000
+  }));
+  insert(db, mozRow({ originAttributes: '^userContextId=2', value: 'work' }));
+  insert(db, mozRow({ originAttributes: '^privateBrowsingId=1', value: 'private' }));
+  insert(db, mozRow({
+    originAttributes: '^partitionKey=%28https%2Cexample.org%29',
+    name: 'chip', value: 'partitioned', host: 'widget.example.net',
+    isSecure: 1, isPartitionedAttributeSet: 1, sameSite: 0, rawSameSite: 0
+  }));
+  db.close();
+
+  suite.addBatch({
+    "importing a profile": {
+      topic: function() {
+        return CookieJar.importFirefoxSync(profileFile);
+      },
+      "imports the cookies outside of containers": function(jar) {
+        assert.lengthOf(jar.serializeSync().cookies, 3);
+      },
+      // before getCookies() touches it
+      "keeps lastAccessed": function(jar) {
+        var sid = jar.serializeSync().cookies.filter(function(cookie) {
+          return cookie.key === 'sid';
+        })[0];
+        assert.equal(sid.lastAccessed, accessed.toISOString());
+      },
+      "maps the columns": function(jar) {
+        var sid = jar.getCookiesSync('https://www.example.com/')[0];
+        assert.equal(sid.key, 'sid');
+        assert.equal(sid.value, 'abc');
+        assert.equal(sid.domain, 'example.com');
+        assert.isFalse(sid.hostOnly);
+        assert.isTrue(sid.secure);
+        assert.isTrue(sid.httpOnly);
+        assert.equal(sid.sameSite, 'lax');
+        assert.equal(sid.expires.getTime(), expires.getTime());
+        assert.equal(sid.creation.getTime(), created.getTime());
+      },
+      "host-only cookies": function(jar) {
+        var cookies = jar.getCookiesSync('http://www.example.com/app/');
+        assert.lengthOf(cookies, 1);
+        assert.equal(cookies[0].key, 'host');
+        assert.isTrue(cookies[0].hostOnly);
+        assert.equal(cookies[0].sameSite, 'strict');
+        assert.lengthOf(jar.getCookiesSync('http://sub.www.example.com/app/'), 0);
+      },
+      "partitioned cookies": function(jar) {
+        var chip = jar.getCookiesSync('https://widget.example.net/',
+                                      {partitionKey: 'https://example.org'});
+        assert.lengthOf(chip, 1);
+        assert.isTrue(chip[0].partitioned);
+        assert.equal(chip[0].partitionKey, 'https://example.org');
+      },
+      "sameSite 0 means no attribute": function(jar) {
+        var chip = jar.getCookiesSync('https://widget.example.net/',
+                                      {partitionKey: 'https://example.org'})[0];
+        assert.isNull(chip.sameSite);
+        assert.equal(chip.toString().indexOf('SameSite'), -1);
+      }
+    },
+    "importing a container": {
+      topic: function() {
+        CookieJar.importFirefox(profileFile, {userContextId: 2}, this.callback);
+      },
+      "imports only its cookies": function(jar) {
+        assert.instanceOf(jar, CookieJar);
+        assert.equal(jar.getCookieStringSync('http://example.com/'), 'sid=work');
+      }
+    },
+    "importing something else": {
+      topic: function() {
+        var file = path.join(dir, 'empty.sqlite');
+        new sqlite.DatabaseSync(file).close();
+        CookieJar.importFirefox(file, this.callback);
+      },
+      "fails": function(err, jar) {
+        assert.instanceOf(err, Error);
+        assert.isUndefined(jar);
+      }
+    }
+  })
+  .addBatch({
+    "exporting into a new database": {
+      topic: function() {
+        var jar = new CookieJar();
+        var now = new Date(Date.UTC(2030, 0, 1));
+        jar.setCookieSync('sid=abc; Domain=example.com; Secure; HttpOnly; SameSite=Lax; Max-Age=60',
+                          'https://www.example.com/', {now: now});
+        jar.setCookieSync('host=1; Path=/app; Expires=Wed, 01 Jan 2031 00:00:00 GMT',
+                          'http://www.example.com/app/x', {now: now});
+        jar.setCookieSync('session=yes', 'http://www.example.com/', {now: now});
+        jar.setCookieSync('chip=1; Secure; Partitioned; Expires=Wed, 01 Jan 2031 00:00:00 GMT',
+                          'https://widget.example.net/',
+                          {now: now, partitionKey: 'https://example.org'});
+        this.jar = jar;
+        var file = path.join(dir, 'export.sqlite');
+        jar.exportFirefoxSync(file);
+        return file;
+      },
+      "writes the persistent cookies": function(file) {
+        var rows = readRows(file);
+        assert.deepEqual(rows.map(function(row) { return row.name; }), ['chip', 'host', 'sid']);
+      },
+      "maps the properties": function(file) {
+        var rows = readRows(file);
+        var sid = rows[2];
+        var now = Date.UTC(2030, 0, 1);
+        assert.equal(sid.host, '.example.com');
+        assert.equal(sid.path, '/');
+        assert.equal(sid.originAttributes, '');
+        assert.equal(sid.expiry, now / 1000 + 60);
+        assert.equal(sid.creationTime, now * 1000);
+        assert.equal(sid.lastAccessed, now * 1000);
+        assert.equal(sid.isSecure, 1);
+        assert.equal(sid.isHttpOnly, 1);
+        assert.equal(sid.sameSite, 1);
+        assert.equal(sid.rawSameSite, 1);
+        assert.equal(sid.schemeMap, 2);
+
+        assert.equal(rows[1].host, 'www.example.com');
+        assert.equal(rows[1].path, '/app');
+        assert.equal(rows[1].expiry, Date.UTC(2031, 0, 1) / 1000);
+      },
+      "writes partition keys into originAttributes": function(file) {
+        assert.equal(readRows(file)[0].originAttributes,
+                     '^partitionKey=%28https%2Cexample.org%29');
+      },
+      "round-trips": function(file) {
+        var copy = CookieJar.importFirefoxSync(file);
+        var original = this.jar.serializeSync().cookies.filter(function(cookie) {
+          return cookie.key !== 'session';
+        });
+        assert.deepEqual(copy.serializeSync().cookies.map(function(cookie) {
+          return cookie.key;
+        }).sort(), original.map(function(cookie) {
+          return cookie.key;
+        }).sort());
+        assert.equal(copy.getCookieStringSync('https://www.example.com/app/'), 'host=1; sid=abc');
+      }
+    },
+    "exporting into a profile": {
+      topic: function() {
+        var file = path.join(dir, 'seeded.sqlite');
+        fs.copyFileSync(profileFile, file);
+        var jar = new CookieJar();
+        jar.setCookieSync('sid=contained; Domain=example.com; Expires=Wed, 01 Jan 2031 00:00:00 GMT',
+                          'http://example.com/');
+        jar.exportFirefox(file, {userContextId: 3}, function(err) {
+          this.callback(err, file);
+        }.bind(this));
+      },
+      "adds the cookies to the container": function(file) {
+        var sids = readRows(file).filter(function(row) {
+          return row.name === 'sid';
+        });
+        assert.deepEqual(sids.map(function(row) {
+          return row.originAttributes + ' ' + row.value;
+        }).sort(), [
+          ' abc',
+          '^privateBrowsingId=1 private',
+          '^userContextId=2 work',
+          '^userContextId=3 contained'
+        ]);
+      },
+      "replaces the same cookies": function(file) {
+        var jar = new CookieJar();
+        jar.setCookieSync('sid=replaced; Domain=example.com; Expires=Wed, 01 Jan 2031 00:00:00 GMT',
+                          'http://example.com/');
+        jar.exportFirefoxSync(file);
+        var copy = CookieJar.importFirefoxSync(file);
+        assert.equal(copy.getCookieStringSync('http://example.com/'), 'sid=replaced');
+        assert.lengthOf(readRows(file), 6);
+      }
+    }
+  });
+}
+
+suite.export(module);
@@ -0,0 +1,219 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+function entry(url, started, headers, cookies) {
+  return {
+    startedDateTime: started,
+    request: {method: 'GET', url: url, headers: [], cookies: []},
+    response: {
+      status: 200,
+      headers: (headers || []).map(function(value) {
+        return {name: 'Set-Cookie', value: value};
+      }),
+      cookies: cookies || []
+    }
+  };
+}
+
+var archive = {
+  log: {
+    version: '1.2',
+    creator: {name: 'test', version: '1'},
+    entries: [
+      entry('https://www.example.com/login', '2030-01-01T00:00:00.000Z',
+            ['sid=one; Path=/; Max-Age=3600; Secure; HttpOnly',
+             'theme=dark; Domain=example.com'],
+            // the parsed cookies are ignored since there are headers
+            [{name: 'ignored', value: 'x'}]),
+      // Firefox joins several Set-Cookie headers with newlines
+      entry('https://www.example.com/app', '2030-01-01T00:10:00.000Z',
+            ['sid=two; Path=/; Max-Age=3600; Secure; HttpOnly\nlang=fr']),
+      entry('https://www.example.com/bad', '2030-01-01T00:11:00.000Z',
+            ['bad=1; Domain=example.net']),
+      // no headers, only parsed cookies
+      entry('https://cdn.example.org/', '2030-01-01T00:20:00.000Z', [], [
+        {name: 'cdn', value: 'on', domain: '.example.org', path: '/',
+         expires: '2031-01-01T00:00:00.000Z', httpOnly: false, secure: true,
+         sameSite: 'None'}
+      ])
+    ]
+  }
+};
+
+vows
+  .describe('HAR cookies')
+  .addBatch({
+    "Cookie.toHar": {
+      topic: function() {
+        var c = Cookie.parse('a=b; Domain=example.com; Path=/x; Expires=Wed, 01 Jan 2031 00:00:00 GMT; ' +
+                             'Secure; SameSite=Lax');
+        c.hostOnly = false;
+        return c.toHar();
+      },
+      "has the HAR fields": function(obj) {
+        assert.deepEqual(obj, {
+          name: 'a',
+          value: 'b',
+          path: '/x',
+          domain: '.example.com',
+          expires: '2031-01-01T00:00:00.000Z',
+          httpOnly: false,
+          secure: true,
+          sameSite: 'Lax'
+        });
+      }
+    },
+    "a host-only session cookie": function() {
+      var c = new Cookie({key: 'a', value: 'b', domain: 'www.example.com', hostOnly: true, path: '/'});
+      assert.deepEqual(c.toHar(), {
+        name: 'a', value: 'b', path: '/', domain: 'www.example.com',
+        httpOnly: false, secure: false
+      });
+    },
+    "Cookie.fromHar": {
+      topic: function() {
+        return Cookie.fromHar({name: 'a', value: 'b', domain: '.Example.com', path: '/',
+                               expires: '2031-01-01T00:00:00.000Z', httpOnly: true,
+                               secure: true, sameSite: 'Strict', comment: ''});
+      },
+      "maps the fields": function(c) {
+        assert.instanceOf(c, Cookie);
+        assert.equal(c.key, 'a');
+        assert.equal(c.value, 'b');
+        assert.equal(c.domain, 'example.com');
+        assert.isFalse(c.hostOnly);
+        assert.equal(c.path, '/');
+        assert.equal(c.expires.toISOString(), '2031-01-01T00:00:00.000Z');
+        assert.isTrue(c.httpOnly);
+        assert.isTrue(c.secure);
+        assert.equal(c.sameSite, 'strict');
+      },
+      "round-trips": function(c) {
+        assert.deepEqual(Cookie.fromHar(c.toHar()).toHar(), c.toHar());
+      }
+    },
+    "a minimal HAR cookie": function() {
+      var c = Cookie.fromHar({name: 'a', value: 'b', expires: null});
+      assert.equal(c.toString(), 'a=b');
+    }
+  })
+  .addBatch({
+    "importing a HAR": {
+      topic: function() {
+        var jar = new CookieJar();
+        var cb = this.callback;
+        jar.importHar(archive, function(err, cookies) {
+          cb(err, {jar: jar, cookies: cookies});
+        });
+      },
+      "sets cookies in entry order, skipping bad ones": function(t) {
+        assert.deepEqual(t.cookies.map(function(c) { return c.key+'='+c.value; }),
+                         ['sid=one', 'theme=dark', 'sid=two', 'lang=fr', 'cdn=on']);
+      },
+      "later cookies replace earlier ones": function(t) {
+        assert.equal(t.jar.getCookieStringSync('https://www.example.com/app'),
+                     'sid=two; theme=dark; lang=fr');
+      },
+      "uses each entry's time": function(t) {
+        var sid = t.jar.getCookiesSync('https://www.example.com/', {
+          now: new Date('2030-01-01T00:30:00.000Z')
+        })[0];
+        assert.equal(sid.key, 'sid');
+        assert.equal(sid.creation.toISOString(), '2030-01-01T00:00:00.000Z');
+        var lang = t.jar.getCookiesSync('https://www.example.com/').filter(function(c) {
+          return c.key === 'lang';
+        })[0];
+        assert.equal(lang.creation.toISOString(), '2030-01-01T00:10:00.000Z');
+      },
+      "falls back to the parsed cookies": function(t) {
+        var cdn = t.jar.getCookiesSync('https://www.example.org/')[0];
+        assert.equal(cdn.key, 'cdn');
+        assert.isFalse(cdn.hostOnly);
+        assert.equal(cdn.sameSite, 'none');
+      },
+      "then getting HAR cookies": function(t) {
+        assert.deepEqual(t.jar.getHarCookiesSync('https://www.example.org/'), [{
+          name: 'cdn', value: 'on', path: '/', domain: '.example.org',
+          expires: '2031-01-01T00:00:00.000Z', httpOnly: false, secure: true,
+          sameSite: 'None'
+        }]);
+      }
+    },
+    "importing a HAR string synchronously, without ignoring errors": {
+      topic: function() {
+        var jar = new CookieJar();
+        try {
+          jar.importHarSync(JSON.stringify(archive), {ignoreError: false});
+        } catch (e) {
+          return {jar: jar, err: e};
+        }
+        return {jar: jar};
+      },
+      "stops at the bad cookie": function(t) {
+        assert.match(t.err.message, /domain/);
+        assert.equal(t.jar.getCookieStringSync('https://www.example.com/'), 'sid=two; theme=dark; lang=fr');
+      }
+    },
+    "importing parsed cookies with a dotless domain": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.importHarSync({log: {entries: [
+          entry('https://www.example.com/', '2030-01-01T00:00:00.000Z', [], [
+            {name: 'sid', value: '1', domain: 'example.com', path: '/'}
+          ])
+        ]}});
+        return jar;
+      },
+      "treats it like a Domain attribute": function(jar) {
+        assert.equal(jar.getCookieStringSync('https://www.example.com/'), 'sid=1');
+        assert.equal(jar.getCookieStringSync('https://sub.example.com/'), 'sid=1');
+        assert.isFalse(jar.getCookiesSync('https://example.com/')[0].hostOnly);
+      }
+    },
+    "importing something that isn't a HAR": {
+      topic: function() {
+        new CookieJar().importHar('{"entries": []}', function(err) {
+          this.callback(null, err);
+        }.bind(this));
+      },
+      "fails": function(err) {
+        assert.match(err.message, /log.entries/);
+      }
+    }
+  })
+  .export(module);
@@ -117,9 +117,19 @@ var serializedCookiePropTypes = {
   'path': 'string',
   'secure': 'boolean',
   'httpOnly': 'boolean',
+  'sameSite': 'string',
+  'partitioned': 'boolean',
+  'priority': 'string',
+  'comment': 'string',
+  'commentURL': 'string',
+  'discard': 'boolean',
+  'port': 'array', // of numbers
+  'version': 'number',
   'extensions': 'array', // of strings, technically
+  'cdp': 'object',
   'hostOnly': 'boolean',
   'pathIsDefault': 'boolean',
+  'partitionKey': 'string',
   'creation': 'isoDate',
   'lastAccessed': 'isoDate'
 };
@@ -134,6 +144,7 @@ function validateSerializedCookie(cookie) {
     case 'string':
     case 'boolean':
     case 'array':
+    case 'object':
     case 'number':
       assert.typeOf(cookie[prop], type);
       break;
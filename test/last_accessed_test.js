@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var util = require('util');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+var MemoryCookieStore = tough.MemoryCookieStore;
+
+var MINUTE = 60 * 1000;
+var atNow = Date.UTC(2030, 0, 1);
+
+function at(offset) {
+  return {now: new Date(atNow + offset)};
+}
+
+// Like a database-backed store, gives out copies of its cookies, so changes
+// to them are lost unless written back; logs updateCookie()
+function CopyingStore() {
+  MemoryCookieStore.call(this);
+  this.updates = [];
+}
+util.inherits(CopyingStore, MemoryCookieStore);
+CopyingStore.prototype.findCookies = function() {
+  var args = Array.prototype.slice.call(arguments);
+  var cb = args.pop();
+  args.push(function(err, cookies) {
+    cb(err, cookies && cookies.map(function(c) {
+      return c.clone();
+    }));
+  });
+  MemoryCookieStore.prototype.findCookies.apply(this, args);
+};
+CopyingStore.prototype.updateCookie = function(oldCookie, newCookie, cb) {
+  this.updates.push([oldCookie.key, oldCookie.lastAccessed.getTime() - atNow,
+                     newCookie.lastAccessed.getTime() - atNow]);
+  MemoryCookieStore.prototype.updateCookie.call(this, oldCookie, newCookie.clone(), cb);
+};
+
+function storedAccess(jar, key) {
+  var cookie = jar.serializeSync().cookies.filter(function(c) {
+    return c.key === key;
+  })[0];
+  return Date.parse(cookie.lastAccessed) - atNow;
+}
+
+function jarWith(options) {
+  var jar = new CookieJar(new CopyingStore(), options);
+  jar.setCookieSync('a=1', 'http://example.com/', at(0));
+  jar.store.updates = [];
+  return jar;
+}
+
+vows
+  .describe('Persisting lastAccessed')
+  .addBatch({
+    "Getting cookies": {
+      topic: function() {
+        var jar = jarWith();
+        this.first = jar.getCookiesSync('http://example.com/', at(2 * MINUTE))[0];
+        return jar;
+      },
+      "uses the now option": function() {
+        assert.equal(this.first.lastAccessed.getTime(), atNow + 2 * MINUTE);
+      },
+      "writes a stale access time to the store": function(jar) {
+        assert.deepEqual(jar.store.updates, [['a', 0, 2 * MINUTE]]);
+        assert.equal(storedAccess(jar, 'a'), 2 * MINUTE);
+      },
+      "and again within the threshold": {
+        topic: function(jar) {
+          this.second = jar.getCookiesSync('http://example.com/', at(2 * MINUTE + 10000))[0];
+          return jar;
+        },
+        "updates the returned cookies only": function(jar) {
+          assert.equal(this.second.lastAccessed.getTime(), atNow + 2 * MINUTE + 10000);
+          assert.lengthOf(jar.store.updates, 1);
+          assert.equal(storedAccess(jar, 'a'), 2 * MINUTE);
+        },
+        "and after it": {
+          topic: function(jar) {
+            jar.getCookiesSync('http://example.com/', at(4 * MINUTE));
+            return jar;
+          },
+          "writes again": function(jar) {
+            assert.deepEqual(jar.store.updates[1], ['a', 2 * MINUTE, 4 * MINUTE]);
+            assert.equal(storedAccess(jar, 'a'), 4 * MINUTE);
+          }
+        }
+      }
+    },
+    "With a threshold of 0": {
+      topic: function() {
+        var jar = jarWith({lastAccessedThreshold: 0});
+        jar.getCookiesSync('http://example.com/', at(1000));
+        jar.getCookiesSync('http://example.com/', at(2000));
+        return jar;
+      },
+      "every access is written": function(jar) {
+        assert.deepEqual(jar.store.updates, [['a', 0, 1000], ['a', 1000, 2000]]);
+      }
+    },
+    "With a threshold of Infinity": {
+      topic: function() {
+        var jar = jarWith({lastAccessedThreshold: Infinity});
+        jar.getCookiesSync('http://example.com/', at(60 * MINUTE));
+        return jar;
+      },
+      "nothing is written": function(jar) {
+        assert.lengthOf(jar.store.updates, 0);
+        assert.equal(storedAccess(jar, 'a'), 0);
+      }
+    },
+    "Evicting with a store that gives out copies": {
+      topic: function() {
+        var jar = jarWith({maxCookiesPerDomain: 2});
+        jar.setCookieSync('b=1; Path=/b', 'http://example.com/b', at(MINUTE));
+        jar.getCookiesSync('http://example.com/', at(5 * MINUTE)); // a only
+        jar.setCookieSync('c=1; Path=/c', 'http://example.com/c', at(6 * MINUTE));
+        return jar;
+      },
+      "uses the persisted access times": function(jar) {
+        var keys = jar.serializeSync().cookies.map(function(c) {
+          return c.key;
+        }).sort();
+        assert.deepEqual(keys, ['a', 'c']);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,158 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+
+// as written by Python 3.12's LWPCookieJar.save(ignore_discard=True)
+var pythonFile = [
+  '#LWP-Cookies-2.0',
+  'Set-Cookie3: sid="a b,\\"c\\""; path="/app"; domain=".example.com"; path_spec; secure; expires="2031-01-01 00:00:00Z"; HttpOnly=None; SameSite=Lax; version=0',
+  'Set-Cookie3: host=1; path="/"; domain="www.example.com"; discard; version=0',
+  'Set-Cookie3: dot=2; path="/"; domain=".example.org"; path_spec; domain_dot; expires="2031-01-01 00:00:00Z"; version=0',
+  'Set-Cookie3: v1=3; path="/"; domain="example.net"; port="80,8080"; port_spec; discard; comment=hello; version=1',
+  ''
+].join('\n');
+
+vows
+  .describe('LWP Set-Cookie3 files')
+  .addBatch({
+    "importing a Python LWPCookieJar file": {
+      topic: function() {
+        return CookieJar.importLWPSync(pythonFile);
+      },
+      "imports every cookie line": function(jar) {
+        assert.lengthOf(jar.serializeSync().cookies, 4);
+      },
+      "maps the attributes": function(jar) {
+        var sid = jar.getCookiesSync('https://www.example.com/app/')[0];
+        assert.equal(sid.key, 'sid');
+        assert.equal(sid.value, 'a b,"c"');
+        assert.equal(sid.domain, 'example.com');
+        assert.equal(sid.path, '/app');
+        assert.isFalse(sid.hostOnly);
+        assert.isFalse(sid.pathIsDefault);
+        assert.isTrue(sid.secure);
+        assert.isTrue(sid.httpOnly);
+        assert.equal(sid.sameSite, 'lax');
+        assert.equal(sid.expires.getTime(), Date.UTC(2031, 0, 1));
+      },
+      "host-only session cookies": function(jar) {
+        var cookies = jar.getCookiesSync('http://www.example.com/');
+        assert.lengthOf(cookies, 1);
+        assert.equal(cookies[0].key, 'host');
+        assert.isTrue(cookies[0].hostOnly);
+        assert.isTrue(cookies[0].pathIsDefault);
+        assert.isFalse(cookies[0].isPersistent());
+        assert.isUndefined(cookies[0].toJSON().discard);
+        assert.lengthOf(jar.getCookiesSync('http://sub.www.example.com/'), 0);
+      },
+      "domain_dot cookies are domain cookies": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://www.example.org/'), 'dot=2');
+      },
+      "RFC 2965 attributes": function(jar) {
+        var v1 = jar.getCookiesSync('http://example.net:8080/')[0];
+        assert.equal(v1.key, 'v1');
+        assert.equal(v1.version, 1);
+        assert.deepEqual(v1.port, [80, 8080]);
+        assert.equal(v1.comment, 'hello');
+        assert.isTrue(v1.hostOnly);
+      }
+    },
+    "importing asynchronously": {
+      topic: function() {
+        CookieJar.importLWP(pythonFile, this.callback);
+      },
+      "gives a jar": function(jar) {
+        assert.instanceOf(jar, CookieJar);
+        assert.equal(jar.getCookieStringSync('http://www.example.com/'), 'host=1');
+      }
+    },
+    "importing something else": {
+      topic: function() {
+        CookieJar.importLWP('# Netscape HTTP Cookie File\n', this.callback);
+      },
+      "fails": function(err, jar) {
+        assert.instanceOf(err, Error);
+        assert.match(err.message, /does not look like a Set-Cookie3/);
+        assert.isUndefined(jar);
+      }
+    }
+  })
+  .addBatch({
+    "exporting": {
+      topic: function() {
+        var jar = new CookieJar();
+        var now = new Date(Date.UTC(2030, 0, 1));
+        jar.setCookieSync('sid=a b,"c"; Domain=example.com; Path=/app; Secure; HttpOnly; SameSite=Lax; Max-Age=60',
+                          'https://www.example.com/app/x', {now: now});
+        jar.setCookieSync('host=1', 'http://www.example.com/', {now: now});
+        return jar;
+      },
+      "writes Set-Cookie3 lines": function(jar) {
+        var lines = jar.exportLWPSync().split('\n');
+        assert.deepEqual(lines, [
+          '#LWP-Cookies-2.0',
+          'Set-Cookie3: sid="a b,\\"c\\""; path="/app"; domain=".example.com"; path_spec; secure; expires="2030-01-01 00:01:00Z"; HttpOnly=None; SameSite=Lax; version=0',
+          'Set-Cookie3: host=1; path="/"; domain="www.example.com"; discard; version=0',
+          ''
+        ]);
+      },
+      "round-trips": function(jar) {
+        var copy = CookieJar.importLWPSync(jar.exportLWPSync());
+        assert.equal(copy.exportLWPSync(), jar.exportLWPSync());
+      },
+      "asynchronously": {
+        topic: function(jar) {
+          jar.exportLWP(this.callback);
+        },
+        "works": function(text) {
+          assert.match(text, /^#LWP-Cookies-2\.0\n/);
+        }
+      }
+    },
+    "exporting from a store without getAllCookies": {
+      topic: function() {
+        var store = new tough.Store();
+        store.synchronous = true;
+        return new CookieJar(store);
+      },
+      "fails": function(jar) {
+        assert.throws(function() {
+          jar.exportLWPSync();
+        }, /getAllCookies is not implemented/);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,154 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+
+// as written by curl 8
+var curlFile = [
+  '# Netscape HTTP Cookie File',
+  '# https://curl.se/docs/http-cookies.html',
+  '# This file was generated by libcurl! Edit at your own risk.',
+  '',
+  '#HttpOnly_.example.com\tTRUE\t/\tTRUE\t2145916800\tsid\tabc123',
+  'www.example.com\tFALSE\t/app\tFALSE\t0\tsession\tyes',
+  '.example.org\tTRUE\t/\tFALSE\t2145916800\tempty\t',
+  'example.org\tFALSE\t/\tFALSE\t2145916800\tnovalue',
+  'not a cookie line',
+  ''
+].join('\r\n');
+
+vows
+  .describe('Netscape cookies.txt')
+  .addBatch({
+    "importing a curl cookie file": {
+      topic: function() {
+        return CookieJar.importNetscapeSync(curlFile);
+      },
+      "imports every cookie line": function(jar) {
+        assert.lengthOf(jar.serializeSync().cookies, 4);
+      },
+      "maps the fields": function(jar) {
+        var sid = jar.getCookiesSync('https://www.example.com/')[0];
+        assert.equal(sid.key, 'sid');
+        assert.equal(sid.value, 'abc123');
+        assert.equal(sid.domain, 'example.com');
+        assert.equal(sid.path, '/');
+        assert.isFalse(sid.hostOnly);
+        assert.isTrue(sid.secure);
+        assert.isTrue(sid.httpOnly);
+        assert.equal(sid.expires.getTime(), 2145916800000);
+      },
+      "host-only and session cookies": function(jar) {
+        var cookies = jar.getCookiesSync('http://www.example.com/app/');
+        assert.lengthOf(cookies, 1);
+        assert.equal(cookies[0].key, 'session');
+        assert.isTrue(cookies[0].hostOnly);
+        assert.isFalse(cookies[0].isPersistent());
+        assert.lengthOf(jar.getCookiesSync('http://sub.www.example.com/app/'), 0);
+      },
+      "empty values": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://example.org/'), 'empty=; novalue=');
+        assert.equal(jar.getCookieStringSync('http://www.example.org/'), 'empty=');
+      },
+      "HttpOnly cookies stay out of non-HTTP APIs": function(jar) {
+        assert.lengthOf(jar.getCookiesSync('https://www.example.com/', {http: false}), 0);
+      }
+    },
+    "importing asynchronously": {
+      topic: function() {
+        CookieJar.importNetscape(curlFile, this.callback);
+      },
+      "gives a jar": function(jar) {
+        assert.instanceOf(jar, CookieJar);
+        assert.equal(jar.getCookieStringSync('https://www.example.com/'), 'sid=abc123');
+      }
+    }
+  })
+  .addBatch({
+    "exporting": {
+      topic: function() {
+        var jar = new CookieJar();
+        var now = new Date(Date.UTC(2030, 0, 1));
+        jar.setCookieSync('sid=abc; Domain=example.com; Secure; HttpOnly; Max-Age=60',
+                          'https://www.example.com/', {now: now});
+        jar.setCookieSync('session=yes; Path=/app', 'http://www.example.com/app/x', {now: now});
+        jar.setCookieSync('exp=1; Expires=Wed, 01 Jan 2031 00:00:00 GMT',
+                          'http://example.org/', {now: now});
+        return jar;
+      },
+      "writes cookies.txt": function(jar) {
+        var lines = jar.exportNetscapeSync().split('\n');
+        assert.equal(lines[0], '# Netscape HTTP Cookie File');
+        assert.deepEqual(lines.filter(function(line) {
+          return line && (line.charAt(0) !== '#' || line.indexOf('#HttpOnly_') === 0);
+        }).sort(), [
+          '#HttpOnly_.example.com\tTRUE\t/\tTRUE\t1893456060\tsid\tabc',
+          'example.org\tFALSE\t/\tFALSE\t1924992000\texp\t1',
+          'www.example.com\tFALSE\t/app\tFALSE\t0\tsession\tyes'
+        ]);
+      },
+      "round-trips": function(jar) {
+        var copy = CookieJar.importNetscapeSync(jar.exportNetscapeSync());
+        assert.equal(copy.exportNetscapeSync(), jar.exportNetscapeSync());
+      },
+      "for Python's MozillaCookieJar": function(jar) {
+        var text = jar.exportNetscapeSync({sessionExpiry: ''});
+        assert.match(text, /\nwww\.example\.com\tFALSE\t\/app\tFALSE\t\tsession\tyes\n/);
+        var copy = CookieJar.importNetscapeSync(text);
+        assert.isFalse(copy.getCookiesSync('http://www.example.com/app/')[0].isPersistent());
+      },
+      "asynchronously": {
+        topic: function(jar) {
+          jar.exportNetscape(this.callback);
+        },
+        "works": function(text) {
+          assert.match(text, /\tsession\tyes\n/);
+        }
+      }
+    },
+    "exporting from a store without getAllCookies": {
+      topic: function() {
+        var store = new tough.Store();
+        store.synchronous = true;
+        return new CookieJar(store);
+      },
+      "fails": function(jar) {
+        assert.throws(function() {
+          jar.exportNetscapeSync();
+        }, /getAllCookies is not implemented/);
+      }
+    }
+  })
+  .export(module);
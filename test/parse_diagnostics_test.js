@@ -0,0 +1,192 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+function codes(result) {
+  return result.warnings.map(function(w) {
+    return w.code;
+  });
+}
+
+vows
+  .describe('Parse diagnostics')
+  .addBatch({
+    "without the diagnostics option": {
+      topic: function() {
+        return Cookie.parse('a=b; Max-Age=soon');
+      },
+      "returns the cookie": function(c) {
+        assert.instanceOf(c, Cookie);
+        assert.equal(c.maxAge, null);
+      }
+    },
+    "a clean cookie": {
+      topic: function() {
+        return Cookie.parse('a=b; Path=/; Domain=example.com; Secure', {diagnostics: true});
+      },
+      "has no warnings": function(result) {
+        assert.instanceOf(result.cookie, Cookie);
+        assert.deepEqual(result.warnings, []);
+      }
+    },
+    "ignored attributes": {
+      topic: function() {
+        return Cookie.parse('a=b; Expires=someday; Max-Age=1h; Domain=; ' +
+                            'Path=foo; SameSite=Sometimes; Priority=urgent; ' +
+                            'Path=/ok', {diagnostics: true});
+      },
+      "still gives the cookie": function(result) {
+        assert.equal(result.cookie.key, 'a');
+        assert.equal(result.cookie.path, '/ok');
+        assert.equal(result.cookie.expires, 'Infinity');
+        assert.equal(result.cookie.domain, null);
+      },
+      "report each one": function(result) {
+        assert.deepEqual(result.warnings, [
+          { code: 'EXPIRES_INVALID', attribute: 'expires', raw: 'Expires=someday' },
+          { code: 'MAX_AGE_INVALID', attribute: 'max-age', raw: 'Max-Age=1h' },
+          { code: 'DOMAIN_EMPTY', attribute: 'domain', raw: 'Domain=' },
+          { code: 'PATH_NOT_ABSOLUTE', attribute: 'path', raw: 'Path=foo' },
+          { code: 'SAMESITE_INVALID', attribute: 'samesite', raw: 'SameSite=Sometimes' },
+          { code: 'PRIORITY_INVALID', attribute: 'priority', raw: 'Priority=urgent' }
+        ]);
+      }
+    },
+    "a registered attribute that doesn't parse": {
+      topic: function() {
+        Cookie.registerAttribute('Shape', {
+          parse: function(value) {
+            return value === 'round' ? value : undefined;
+          }
+        });
+        return Cookie.parse('a=b; Shape=square', {diagnostics: true});
+      },
+      teardown: function() {
+        Cookie.unregisterAttribute('Shape');
+      },
+      "is reported": function(result) {
+        assert.deepEqual(codes(result), ['ATTRIBUTE_INVALID']);
+        assert.equal(result.warnings[0].attribute, 'shape');
+      }
+    },
+    "an ignored cookie": {
+      topic: function() {
+        return Cookie.parse('justavalue; Path=/', {diagnostics: true});
+      },
+      "has no cookie": function(result) {
+        assert.isUndefined(result.cookie);
+      },
+      "says why": function(result) {
+        assert.deepEqual(result.warnings, [
+          { code: 'PAIR_INVALID', attribute: null, raw: 'justavalue' }
+        ]);
+      }
+    },
+    "control characters": {
+      topic: function() {
+        return Cookie.parse('a=b\x01c', {diagnostics: true});
+      },
+      "are reported": function(result) {
+        assert.isUndefined(result.cookie);
+        assert.deepEqual(codes(result), ['CONTROL_CHARS']);
+      }
+    },
+    "in rfc6265bis mode": {
+      "an empty name and value": function() {
+        var result = Cookie.parse('=', {mode: 'rfc6265bis', diagnostics: true});
+        assert.isUndefined(result.cookie);
+        assert.deepEqual(codes(result), ['EMPTY_NAME_AND_VALUE']);
+      },
+      "a long name and value": function() {
+        var long = new Array(4098).join('x');
+        var result = Cookie.parse('a=' + long, {mode: 'rfc6265bis', diagnostics: true});
+        assert.isUndefined(result.cookie);
+        assert.deepEqual(codes(result), ['NAME_VALUE_TOO_LONG']);
+      },
+      "a long attribute": function() {
+        var long = new Array(1026).join('x');
+        var result = Cookie.parse('a=b; Path=/' + long, {mode: 'rfc6265bis', diagnostics: true});
+        assert.instanceOf(result.cookie, Cookie);
+        assert.deepEqual(codes(result), ['ATTRIBUTE_TOO_LONG']);
+        assert.equal(result.warnings[0].attribute, 'path');
+      }
+    }
+  })
+  .addBatch({
+    "setCookie with a diagnostics array": {
+      topic: function() {
+        var cb = this.callback;
+        var jar = new CookieJar();
+        var diagnostics = [];
+        jar.setCookie('a=b; Max-Age=forever', 'http://example.com/',
+                      {diagnostics: diagnostics}, function(err, cookie) {
+          cb(err, {cookie: cookie, diagnostics: diagnostics});
+        });
+      },
+      "sets the cookie": function(t) {
+        assert.equal(t.cookie.key, 'a');
+      },
+      "fills the array": function(t) {
+        assert.deepEqual(t.diagnostics, [
+          { code: 'MAX_AGE_INVALID', attribute: 'max-age', raw: 'Max-Age=forever' }
+        ]);
+      }
+    },
+    "setCookie with an unparsable cookie": {
+      topic: function() {
+        var jar = new CookieJar();
+        var diagnostics = [];
+        var result = {diagnostics: diagnostics};
+        try {
+          jar.setCookieSync('novalue', 'http://example.com/', {diagnostics: diagnostics});
+        } catch (e) {
+          result.err = e;
+        }
+        return result;
+      },
+      "fills the array": function(t) {
+        assert.deepEqual(t.diagnostics, [
+          { code: 'PAIR_INVALID', attribute: null, raw: 'novalue' }
+        ]);
+      },
+      "attaches the warnings to the error": function(t) {
+        assert.equal(t.err.message, 'Cookie failed to parse');
+        assert.deepEqual(t.err.warnings, t.diagnostics);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,204 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+var Store = tough.Store;
+var MemoryCookieStore = tough.MemoryCookieStore;
+
+var widgetUrl = 'https://widget.example/embed';
+
+function keys(cookies) {
+  return cookies.map(function(c) {
+    return c.key+'='+c.value;
+  }).sort();
+}
+
+vows
+  .describe('Partitioned cookies')
+  .addBatch({
+    "Parsing": {
+      topic: function() {
+        return Cookie.parse('__Host-a=b; Secure; Path=/; Partitioned');
+      },
+      "sets the flag": function(c) {
+        assert.strictEqual(c.partitioned, true);
+        assert.ok(!c.extensions);
+      },
+      "has no partitionKey until it's in a jar": function(c) {
+        assert.strictEqual(c.partitionKey, null);
+      },
+      "round-trips through toString": function(c) {
+        assert.equal(c.toString(), '__Host-a=b; Path=/; Secure; Partitioned');
+      },
+      "is not partitioned by default": function() {
+        assert.strictEqual(Cookie.parse('a=b').partitioned, false);
+      }
+    }
+  })
+  .addBatch({
+    "A jar with one cookie per top-level site": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookieSync('id=shop; Secure; Partitioned', widgetUrl,
+                          {partitionKey: 'https://shop.example'});
+        jar.setCookieSync('id=news; Secure; Partitioned', widgetUrl,
+                          {partitionKey: 'https://www.news.example/article/1'});
+        jar.setCookieSync('shared=1; Secure', widgetUrl);
+        return jar;
+      },
+      "keeps both partitioned cookies": function(jar) {
+        assert.equal(jar.serializeSync().cookies.length, 3);
+      },
+      "canonicalizes the partition key to a site": function(jar) {
+        var cookies = jar.getCookiesSync(widgetUrl, {partitionKey: 'https://news.example'});
+        var c = cookies.filter(function(c) { return c.key === 'id'; })[0];
+        assert.equal(c.partitionKey, 'https://news.example');
+      },
+      "sends the cookie for its own partition": function(jar) {
+        var cookies = jar.getCookiesSync(widgetUrl, {partitionKey: 'https://shop.example'});
+        assert.deepEqual(keys(cookies), ['id=shop', 'shared=1']);
+      },
+      "sends the other partition's cookie there": function(jar) {
+        var cookies = jar.getCookiesSync(widgetUrl, {partitionKey: 'https://sub.news.example/'});
+        assert.deepEqual(keys(cookies), ['id=news', 'shared=1']);
+      },
+      "doesn't send partitioned cookies elsewhere": function(jar) {
+        var cookies = jar.getCookiesSync(widgetUrl, {partitionKey: 'https://other.example'});
+        assert.deepEqual(keys(cookies), ['shared=1']);
+      },
+      "survives serialization": function(jar) {
+        var serialized = jar.serializeSync();
+        var copy = CookieJar.deserializeSync(JSON.stringify(serialized));
+        var cookies = copy.getCookiesSync(widgetUrl, {partitionKey: 'https://shop.example'});
+        assert.deepEqual(keys(cookies), ['id=shop', 'shared=1']);
+        assert.deepEqual(Object.keys(copy.store.partitions).sort(),
+                         ['https://news.example', 'https://shop.example']);
+      }
+    },
+    "Defaults to the site of the URL": {
+      topic: function() {
+        var jar = new CookieJar();
+        var c = jar.setCookieSync('a=b; Secure; Partitioned', 'https://www.example.com/');
+        return {jar: jar, cookie: c};
+      },
+      "when setting": function(t) {
+        assert.equal(t.cookie.partitionKey, 'https://example.com');
+      },
+      "when getting": function(t) {
+        assert.equal(t.jar.getCookiesSync('https://www.example.com/').length, 1);
+      },
+      "unless another top-level site is given": function(t) {
+        var cookies = t.jar.getCookiesSync('https://www.example.com/',
+                                           {partitionKey: 'https://other.example'});
+        assert.equal(cookies.length, 0);
+      }
+    },
+    "Replacing a partitioned cookie": {
+      topic: function() {
+        var jar = new CookieJar();
+        var opts = {partitionKey: 'https://shop.example'};
+        jar.setCookieSync('id=1; Secure; Partitioned', widgetUrl, opts);
+        jar.setCookieSync('id=2; Secure; Partitioned', widgetUrl, opts);
+        return jar.getCookiesSync(widgetUrl, opts);
+      },
+      "only keeps the newest": function(cookies) {
+        assert.deepEqual(keys(cookies), ['id=2']);
+      }
+    },
+    "Expired partitioned cookies": {
+      topic: function() {
+        var jar = new CookieJar();
+        var opts = {partitionKey: 'https://shop.example'};
+        jar.setCookieSync('id=1; Secure; Partitioned; Max-Age=-1', widgetUrl, opts);
+        jar.getCookiesSync(widgetUrl, opts);
+        return jar;
+      },
+      "are removed from their partition": function(jar) {
+        assert.deepEqual(jar.store.partitions['https://shop.example'],
+                         {'widget.example': {'/': {}}});
+      }
+    },
+    "Partitioned without Secure": {
+      topic: function() {
+        var jar = new CookieJar();
+        try {
+          jar.setCookieSync('a=b; Partitioned', widgetUrl);
+        } catch (e) {
+          return e;
+        }
+      },
+      "is rejected": function(err) {
+        assert.match(err.message, /Partitioned but not Secure/);
+      }
+    },
+    "Stores that don't support partitions": {
+      topic: function() {
+        var store = new MemoryCookieStore();
+        store.supportsPartitions = false;
+        var findCookiesArgs = [];
+        var findCookies = store.findCookies;
+        store.findCookies = function() {
+          findCookiesArgs.push(arguments.length);
+          return findCookies.apply(this, arguments);
+        };
+        var jar = new CookieJar(store);
+        jar.setCookieSync('a=b; Secure; Partitioned', widgetUrl);
+        var err;
+        try {
+          jar.setCookieSync('c=d; Secure; Partitioned', widgetUrl, {partitionKey: 'https://shop.example'});
+        } catch (e) {
+          err = e;
+        }
+        var cookies = jar.getCookiesSync(widgetUrl);
+        return {err: err, cookies: cookies, findCookiesArgs: findCookiesArgs};
+      },
+      "keep partitioned cookies unpartitioned": function(t) {
+        assert.equal(t.cookies.length, 1);
+        assert.equal(t.cookies[0].key, 'a');
+        assert.strictEqual(t.cookies[0].partitionKey, null);
+      },
+      "reject an explicit partitionKey": function(t) {
+        assert.match(t.err.message, /doesn't support partitions/);
+      },
+      "aren't passed a partitionKey": function(t) {
+        assert.deepEqual(t.findCookiesArgs, [3]);
+      },
+      "is the Store default": function() {
+        assert.strictEqual(Store.prototype.supportsPartitions, false);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,126 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+
+// as saved by Playwright's context.storageState()
+var state = {
+  cookies: [
+    {name: 'sid', value: 'abc', domain: '.example.com', path: '/',
+     expires: 1924992000.5, httpOnly: true, secure: true, sameSite: 'Strict'},
+    {name: 'session', value: 'yes', domain: 'www.example.com', path: '/app',
+     expires: -1, httpOnly: false, secure: false, sameSite: 'Lax'},
+    {name: 'tracker', value: '1', domain: 'cdn.example.org', path: '/',
+     expires: 1924992000, httpOnly: false, secure: true, sameSite: 'None'}
+  ],
+  origins: [
+    {origin: 'https://www.example.com', localStorage: [{name: 'k', value: 'v'}]}
+  ]
+};
+
+vows
+  .describe('Playwright storageState')
+  .addBatch({
+    "fromStorageState": {
+      topic: function() {
+        return CookieJar.deserializeSync(tough.fromStorageState(JSON.stringify(state)));
+      },
+      "gives a jar with every cookie": function(jar) {
+        assert.lengthOf(jar.serializeSync().cookies, 3);
+      },
+      "a leading dot means a domain cookie": function(jar) {
+        var sid = jar.getCookiesSync('https://sub.example.com/')[0];
+        assert.equal(sid.key, 'sid');
+        assert.equal(sid.domain, 'example.com');
+        assert.isFalse(sid.hostOnly);
+        assert.equal(sid.expires.getTime(), 1924992000500);
+        assert.isTrue(sid.httpOnly);
+        assert.isTrue(sid.secure);
+        assert.equal(sid.sameSite, 'strict');
+      },
+      "otherwise it's host-only": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://www.example.com/app'), 'session=yes');
+        assert.equal(jar.getCookieStringSync('http://sub.www.example.com/app'), '');
+      },
+      "-1 means a session cookie": function(jar) {
+        var session = jar.getCookiesSync('http://www.example.com/app')[0];
+        assert.isFalse(session.isPersistent());
+      },
+      "Lax stays Lax": function(jar) {
+        var session = jar.getCookiesSync('http://www.example.com/app')[0];
+        assert.equal(session.sameSite, 'lax');
+        assert.lengthOf(jar.getCookiesSync('http://www.example.com/app', {sameSiteContext: 'none'}), 0);
+      }
+    },
+    "toStorageState": {
+      topic: function() {
+        var jar = new CookieJar();
+        var now = new Date(Date.UTC(2030, 0, 1));
+        jar.setCookieSync('sid=abc; Domain=example.com; Max-Age=60; Secure; HttpOnly',
+                          'https://www.example.com/', {now: now});
+        jar.setCookieSync('session=yes; Path=/app; SameSite=Strict',
+                          'http://www.example.com/app/x', {now: now});
+        return tough.toStorageState(jar.serializeSync());
+      },
+      "has the cookies": function(result) {
+        assert.deepEqual(result, {
+          cookies: [
+            {name: 'sid', value: 'abc', domain: '.example.com', path: '/',
+             expires: 1893456060, httpOnly: true, secure: true, sameSite: 'Lax'},
+            {name: 'session', value: 'yes', domain: 'www.example.com', path: '/app',
+             expires: -1, httpOnly: false, secure: false, sameSite: 'Strict'}
+          ],
+          origins: []
+        });
+      }
+    },
+    "a round-trip": {
+      topic: function() {
+        var serialized = tough.fromStorageState(state);
+        return tough.toStorageState(CookieJar.deserializeSync(serialized).serializeSync());
+      },
+      "keeps the cookies": function(result) {
+        assert.deepEqual(result.cookies, state.cookies);
+      }
+    },
+    "expired max-age cookies": function() {
+      var result = tough.toStorageState({
+        cookies: [{key: 'a', value: 'b', domain: 'example.com', path: '/',
+                   hostOnly: true, maxAge: '-Infinity', creation: new Date().toISOString()}]
+      });
+      assert.strictEqual(result.cookies[0].expires, 0);
+    }
+  })
+  .export(module);
@@ -0,0 +1,208 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+// makes a vows topic of a Promise
+function settle(promise, callback) {
+  assert.instanceOf(promise, Promise);
+  promise.then(function(result) {
+    callback(null, result);
+  }, function(err) {
+    callback(err);
+  });
+}
+
+function jarWithCookie() {
+  var jar = new CookieJar();
+  jar.setCookieSync('a=1; Path=/', 'http://example.com/');
+  return jar;
+}
+
+vows
+  .describe('Promise API')
+  .addBatch({
+    "setCookie without a callback": {
+      topic: function() {
+        this.jar = new CookieJar();
+        settle(this.jar.setCookie('a=1', 'http://example.com/'), this.callback);
+      },
+      "resolves with the cookie": function(cookie) {
+        assert.instanceOf(cookie, Cookie);
+        assert.equal(cookie.key, 'a');
+        assert.equal(this.jar.getCookieStringSync('http://example.com/'), 'a=1');
+      }
+    },
+    "setCookie with options and without a callback": {
+      topic: function() {
+        var jar = new CookieJar();
+        settle(jar.setCookie('a=1; Domain=example.net', 'http://example.com/', {ignoreError: true}),
+               this.callback);
+      },
+      "resolves": function(err, cookie) {
+        assert.isNull(err);
+        assert.isUndefined(cookie);
+      }
+    },
+    "a failing setCookie": {
+      topic: function() {
+        var jar = new CookieJar();
+        var callback = this.callback;
+        jar.setCookie('a=1; Domain=example.net', 'http://example.com/').then(function() {
+          callback(new Error('should have been rejected'));
+        }, function(err) {
+          callback(null, err);
+        });
+      },
+      "rejects with the error": function(err) {
+        assert.instanceOf(err, Error);
+        assert.match(err.message, /Cookie not in this host's domain/);
+      }
+    },
+    "getCookies": {
+      topic: function() {
+        settle(jarWithCookie().getCookies('http://example.com/'), this.callback);
+      },
+      "resolves with the cookies": function(cookies) {
+        assert.lengthOf(cookies, 1);
+        assert.equal(cookies[0].key, 'a');
+      }
+    },
+    "getCookieString": {
+      topic: function() {
+        settle(jarWithCookie().getCookieString('http://example.com/', {}), this.callback);
+      },
+      "resolves with the string": function(str) {
+        assert.equal(str, 'a=1');
+      }
+    },
+    "getSetCookieStrings": {
+      topic: function() {
+        settle(jarWithCookie().getSetCookieStrings('http://example.com/'), this.callback);
+      },
+      "resolves with the strings": function(strs) {
+        assert.deepEqual(strs, ['a=1; Path=/']);
+      }
+    },
+    "with a callback": {
+      topic: function() {
+        var jar = jarWithCookie();
+        var callback = this.callback;
+        var returned = jar.getCookieString('http://example.com/', function(err, str) {
+          callback(err, {returned: returned, str: str});
+        });
+      },
+      "nothing is returned": function(result) {
+        assert.isUndefined(result.returned);
+        assert.equal(result.str, 'a=1');
+      }
+    },
+    "and the Sync API": function() {
+      assert.equal(jarWithCookie().getCookieStringSync('http://example.com/'), 'a=1');
+    }
+  })
+  .addBatch({
+    "serialize": {
+      topic: function() {
+        settle(jarWithCookie().serialize(), this.callback);
+      },
+      "resolves with the serialization": function(data) {
+        assert.lengthOf(data.cookies, 1);
+      },
+      "then CookieJar.deserialize": {
+        topic: function(data) {
+          settle(CookieJar.deserialize(data), this.callback);
+        },
+        "resolves with a jar": function(jar) {
+          assert.instanceOf(jar, CookieJar);
+          assert.equal(jar.getCookieStringSync('http://example.com/'), 'a=1');
+        }
+      }
+    },
+    "CookieJar.deserialize with a store": {
+      topic: function() {
+        var data = jarWithCookie().serializeSync();
+        this.store = new tough.MemoryCookieStore();
+        settle(CookieJar.deserialize(data, this.store), this.callback);
+      },
+      "uses it": function(jar) {
+        assert.strictEqual(jar.store, this.store);
+      }
+    },
+    "CookieJar.deserialize of bad JSON": {
+      topic: function() {
+        var callback = this.callback;
+        CookieJar.deserialize('{').then(function() {
+          callback(new Error('should have been rejected'));
+        }, function(err) {
+          callback(null, err);
+        });
+      },
+      "rejects": function(err) {
+        assert.instanceOf(err, SyntaxError);
+      }
+    },
+    "clone": {
+      topic: function() {
+        this.jar = jarWithCookie();
+        settle(this.jar.clone(), this.callback);
+      },
+      "resolves with a copy": function(copy) {
+        assert.instanceOf(copy, CookieJar);
+        assert.notStrictEqual(copy, this.jar);
+        assert.equal(copy.getCookieStringSync('http://example.com/'), 'a=1');
+      }
+    },
+    "clone into a store": {
+      topic: function() {
+        this.store = new tough.MemoryCookieStore();
+        settle(jarWithCookie().clone(this.store), this.callback);
+      },
+      "uses it": function(copy) {
+        assert.strictEqual(copy.store, this.store);
+        assert.equal(copy.getCookieStringSync('http://example.com/'), 'a=1');
+      }
+    },
+    "the importers": {
+      topic: function() {
+        settle(CookieJar.importNetscape(jarWithCookie().exportNetscapeSync()), this.callback);
+      },
+      "resolve with a jar": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://example.com/'), 'a=1');
+      }
+    }
+  })
+  .export(module);
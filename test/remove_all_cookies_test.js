@@ -0,0 +1,151 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var util = require('util');
+var tough = require('../lib/cookie');
+var CookieJar = tough.CookieJar;
+var Store = tough.Store;
+var MemoryCookieStore = tough.MemoryCookieStore;
+
+// a MemoryCookieStore that uses the Store fallback and logs removeCookie()
+function FallbackStore() {
+  MemoryCookieStore.call(this);
+  this.removed = [];
+}
+util.inherits(FallbackStore, MemoryCookieStore);
+FallbackStore.prototype.removeAllCookies = Store.prototype.removeAllCookies;
+FallbackStore.prototype.removeCookie = function(domain, path, key, partitionKey, cb) {
+  this.removed.push(Array.prototype.slice.call(arguments, 0, -1));
+  MemoryCookieStore.prototype.removeCookie.apply(this, arguments);
+};
+
+function fill(jar) {
+  jar.setCookieSync('a=1', 'http://example.com/');
+  jar.setCookieSync('b=2; Path=/foo', 'http://www.example.net/foo/');
+  jar.setCookieSync('c=3; Secure; Partitioned', 'https://widget.example.org/',
+                    {partitionKey: 'https://example.com'});
+  return jar;
+}
+
+function cookieCount(jar) {
+  return jar.serializeSync().cookies.length;
+}
+
+vows
+  .describe('removeAllCookies')
+  .addBatch({
+    "With a MemoryCookieStore": {
+      topic: function() {
+        var jar = fill(new CookieJar());
+        this.store = jar.store;
+        assert.equal(cookieCount(jar), 3);
+        jar.removeAllCookiesSync();
+        return jar;
+      },
+      "the jar is empty": function(jar) {
+        assert.equal(cookieCount(jar), 0);
+        assert.deepEqual(jar.store.idx, {});
+        assert.deepEqual(jar.store.partitions, {});
+      },
+      "the store is kept": function(jar) {
+        assert.strictEqual(jar.store, this.store);
+      },
+      "the jar can be used again": function(jar) {
+        jar.setCookieSync('d=4', 'http://example.com/');
+        assert.equal(jar.getCookieStringSync('http://example.com/'), 'd=4');
+      }
+    },
+    "Asynchronously": {
+      topic: function() {
+        var jar = fill(new CookieJar());
+        jar.removeAllCookies(function(err) {
+          this.callback(err, jar);
+        }.bind(this));
+      },
+      "the jar is empty": function(jar) {
+        assert.equal(cookieCount(jar), 0);
+      }
+    },
+    "With the Store fallback": {
+      topic: function() {
+        var jar = fill(new CookieJar(new FallbackStore()));
+        jar.removeAllCookiesSync();
+        return jar;
+      },
+      "the jar is empty": function(jar) {
+        assert.equal(cookieCount(jar), 0);
+      },
+      "each cookie is removed, with its partition": function(jar) {
+        assert.deepEqual(jar.store.removed, [
+          ['example.com', '/', 'a'],
+          ['www.example.net', '/foo', 'b'],
+          ['widget.example.org', '/', 'c', 'https://example.com']
+        ]);
+      }
+    },
+    "With a store that doesn't inherit from Store": {
+      topic: function() {
+        var memstore = new MemoryCookieStore();
+        var store = {synchronous: true, supportsPartitions: true};
+        ['findCookie', 'findCookies', 'putCookie', 'updateCookie', 'removeCookie',
+         'removeCookies', 'getAllCookies'].forEach(function(method) {
+          store[method] = memstore[method].bind(memstore);
+        });
+        var jar = fill(new CookieJar(store));
+        jar.removeAllCookiesSync();
+        return jar;
+      },
+      "the CookieJar falls back": function(jar) {
+        assert.equal(cookieCount(jar), 0);
+      }
+    },
+    "When removing fails": {
+      topic: function() {
+        var store = new FallbackStore();
+        store.removeCookie = function(domain, path, key, partitionKey, cb) {
+          (cb || partitionKey)(new Error('read-only store'));
+        };
+        var jar = fill(new CookieJar(store));
+        jar.removeAllCookies(function(err) {
+          this.callback(null, {err: err, jar: jar});
+        }.bind(this));
+      },
+      "the error is passed on": function(result) {
+        assert.instanceOf(result.err, Error);
+        assert.equal(result.err.message, 'read-only store');
+        assert.equal(cookieCount(result.jar), 3);
+      }
+    }
+  })
+  .export(module);
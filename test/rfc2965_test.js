@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+var rfc2965 = {mode: 'rfc2965'};
+
+vows
+  .describe('RFC2965 legacy mode')
+  .addBatch({
+    "parsing a Set-Cookie2 header": {
+      topic: function() {
+        return Cookie.parse('Part_Number="Rocket_Launcher_0001"; Version="1"; ' +
+                            'Path="/acme"; Comment="for \\"you\\"; enjoy"; ' +
+                            'CommentURL="http://example.com/why"; Discard; Port="80, 8080"',
+                            rfc2965);
+      },
+      "unquotes the value": function(c) {
+        assert.equal(c.key, 'Part_Number');
+        assert.equal(c.value, 'Rocket_Launcher_0001');
+      },
+      "unquotes attributes": function(c) {
+        assert.equal(c.path, '/acme');
+        assert.equal(c.comment, 'for "you"; enjoy');
+        assert.equal(c.commentURL, 'http://example.com/why');
+      },
+      "has the RFC2965 attributes": function(c) {
+        assert.strictEqual(c.version, 1);
+        assert.strictEqual(c.discard, true);
+        assert.deepEqual(c.port, [80, 8080]);
+        assert.isNull(c.extensions);
+      },
+      "isn't persistent": function(c) {
+        assert.isFalse(c.isPersistent());
+      },
+      "serializes them": function(c) {
+        assert.equal(c.toString(), 'Part_Number=Rocket_Launcher_0001; Path=/acme; ' +
+                     'Comment="for \\"you\\"; enjoy"; CommentURL="http://example.com/why"; ' +
+                     'Discard; Port="80,8080"; Version=1');
+      },
+      "round-trips through JSON": function(c) {
+        var copy = Cookie.fromJSON(JSON.stringify(c));
+        assert.deepEqual(copy.port, [80, 8080]);
+        assert.strictEqual(copy.discard, true);
+        assert.equal(copy.comment, c.comment);
+      }
+    },
+    "a Port without a list": function() {
+      assert.strictEqual(Cookie.parse('a=b; Port', rfc2965).port, true);
+    },
+    "bad Port and Version values": function() {
+      var result = Cookie.parse('a=b; Port="eighty"; Version=one',
+                                {mode: 'rfc2965', diagnostics: true});
+      assert.isNull(result.cookie.port);
+      assert.isNull(result.cookie.version);
+      assert.deepEqual(result.warnings.map(function(w) { return w.code; }),
+                       ['PORT_INVALID', 'VERSION_INVALID']);
+    },
+    "quoted values with spaces": function() {
+      var c = Cookie.parse('a="b c"; Version=1', rfc2965);
+      assert.equal(c.value, 'b c');
+      assert.equal(c.cookieString(), 'a="b c"');
+    },
+    "outside of rfc2965 mode": function() {
+      var c = Cookie.parse('a="b"; Version=1; Discard; Port="80"');
+      assert.equal(c.value, '"b"');
+      assert.isNull(c.version);
+      assert.isFalse(c.discard);
+      assert.deepEqual(c.extensions, ['Version=1', 'Discard', 'Port="80"']);
+    },
+    "splitting Set-Cookie2 headers": function() {
+      var header = 'a=1; Version=1; Comment="one, two=2", b=2; Version=1';
+      assert.deepEqual(tough.splitSetCookieString(header, {quoted: true}),
+                       ['a=1; Version=1; Comment="one, two=2"', 'b=2; Version=1']);
+      assert.deepEqual(tough.splitSetCookieString(header),
+                       ['a=1; Version=1; Comment="one', 'two=2"', 'b=2; Version=1']);
+    }
+  })
+  .addBatch({
+    "a jar in rfc2965 mode": {
+      topic: function() {
+        var jar = new CookieJar(null, {parseMode: 'rfc2965'});
+        jar.setCookiesSync('a=1; Version=1; Port="80,8080", b=2; Version=1; Port, ' +
+                           'c=3; Version=1; Domain=.example.com; Path=/',
+                           'http://www.example.com:8080/foo/bar');
+        return jar;
+      },
+      "fills in a Port without a list": function(jar) {
+        var b = jar.getCookiesSync('http://www.example.com:8080/foo/').filter(function(c) {
+          return c.key === 'b';
+        })[0];
+        assert.deepEqual(b.port, [8080]);
+      },
+      "only sends cookies to their ports": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://www.example.com:8080/foo/'), 'a=1; b=2; c=3');
+        assert.equal(jar.getCookieStringSync('http://www.example.com/foo/'), 'a=1; c=3');
+        assert.equal(jar.getCookieStringSync('http://www.example.com:81/foo/'), 'c=3');
+      },
+      "can make an RFC2965 Cookie header": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://www.example.com/foo/', rfc2965),
+                     '$Version="1"; a=1; $Port="80,8080"; c=3; $Path="/"; $Domain=".example.com"');
+      },
+      "rejects cookies for other ports": function(jar) {
+        assert.throws(function() {
+          jar.setCookieSync('d=4; Version=1; Port="443"', 'http://www.example.com/');
+        }, /Port list/);
+      }
+    },
+    "Discard": {
+      topic: function() {
+        var jar = new CookieJar(null, {parseMode: 'rfc2965'});
+        var then = new Date(Date.now() - 60000);
+        jar.setCookieSync('a=1; Discard; Max-Age=3600', 'http://example.com/', {now: then});
+        jar.setCookieSync('b=2; Max-Age=3600', 'http://example.com/', {now: then});
+        return jar;
+      },
+      "keeps the cookie for the session": function(jar) {
+        assert.equal(jar.getCookieStringSync('http://example.com/'), 'a=1; b=2');
+      },
+      "drops it once a new session starts": function(jar) {
+        var sessionStart = new Date();
+        assert.equal(jar.getCookieStringSync('http://example.com/', {sessionStart: sessionStart}),
+                     'b=2');
+        assert.equal(jar.getCookieStringSync('http://example.com/'), 'b=2');
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,164 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+require('string.prototype.repeat'); // polyfill
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+var BIS = {mode: 'rfc6265bis'};
+
+vows
+  .describe('RFC6265bis parsing mode')
+  .addBatch({
+    "Name and value limits": {
+      "4096 octets are fine": function() {
+        var c = Cookie.parse('a='+'x'.repeat(4095), BIS);
+        assert.ok(c);
+        assert.equal(c.value.length, 4095);
+      },
+      "4097 octets are rejected": function() {
+        assert.strictEqual(Cookie.parse('ab='+'x'.repeat(4095), BIS), undefined);
+      },
+      "counts octets, not characters": function() {
+        // U+00E9 is two octets in UTF-8
+        assert.strictEqual(Cookie.parse('a='+'é'.repeat(2048), BIS), undefined);
+      },
+      "are not applied by default": function() {
+        assert.ok(Cookie.parse('a='+'x'.repeat(8192)));
+      }
+    },
+    "Empty names and values": {
+      "both empty is rejected": function() {
+        assert.strictEqual(Cookie.parse('=', BIS), undefined);
+        assert.strictEqual(Cookie.parse(' = ; Path=/', BIS), undefined);
+      },
+      "empty value is fine": function() {
+        var c = Cookie.parse('a=', BIS);
+        assert.equal(c.key, 'a');
+        assert.equal(c.value, '');
+      },
+      "nameless value is fine": function() {
+        var c = Cookie.parse('=abc', BIS);
+        assert.equal(c.key, '');
+        assert.equal(c.value, 'abc');
+      },
+      "a pair without = is a nameless value": function() {
+        var c = Cookie.parse('abc; Path=/', BIS);
+        assert.equal(c.key, '');
+        assert.equal(c.value, 'abc');
+        assert.equal(c.path, '/');
+      }
+    },
+    "Control characters": {
+      "DEL anywhere is rejected": function() {
+        assert.strictEqual(Cookie.parse('a=b\x7F', BIS), undefined);
+        assert.strictEqual(Cookie.parse('a=b; Path=/\x7F', BIS), undefined);
+      },
+      "CR and LF are rejected rather than terminating": function() {
+        assert.strictEqual(Cookie.parse('a=b\r\nc=d', BIS), undefined);
+        assert.ok(Cookie.parse('a=b\r\nc=d'));
+      },
+      "NUL is rejected": function() {
+        assert.strictEqual(Cookie.parse('a=b\x00', BIS), undefined);
+      },
+      "HTAB is fine": function() {
+        var c = Cookie.parse('a=b\tc', BIS);
+        assert.equal(c.value, 'b\tc');
+      },
+      "DEL is still allowed by default": function() {
+        assert.ok(Cookie.parse('a=b\x7F'));
+      }
+    },
+    "Attribute values": {
+      "1024 octets are fine": function() {
+        var path = '/'+'p'.repeat(1023);
+        assert.equal(Cookie.parse('a=b; Path='+path, BIS).path, path);
+      },
+      "oversized Path is ignored": function() {
+        var c = Cookie.parse('a=b; Path=/'+'p'.repeat(1024), BIS);
+        assert.ok(c);
+        assert.strictEqual(c.path, null);
+      },
+      "oversized Domain is ignored": function() {
+        var c = Cookie.parse('a=b; Domain='+'d'.repeat(1021)+'.com', BIS);
+        assert.ok(c);
+        assert.strictEqual(c.domain, null);
+      },
+      "oversized extensions are ignored": function() {
+        var c = Cookie.parse('a=b; Foo='+'x'.repeat(1025), BIS);
+        assert.ok(!c.extensions);
+      },
+      "are not limited by default": function() {
+        var path = '/'+'p'.repeat(2048);
+        assert.equal(Cookie.parse('a=b; Path='+path).path, path);
+      }
+    },
+    "Modes": {
+      "rfc6265 is the default": function() {
+        assert.strictEqual(Cookie.parse('=', {mode: 'rfc6265', loose: true}).key, '');
+      },
+      "unknown modes throw": function() {
+        assert.throws(function() {
+          Cookie.parse('a=b', {mode: 'rfc1234'});
+        }, /Invalid parse mode/);
+      }
+    }
+  })
+  .addBatch({
+    "CookieJar parseMode": {
+      topic: function() {
+        return new CookieJar(null, {parseMode: 'rfc6265bis'});
+      },
+      "applies to setCookie": function(jar) {
+        assert.throws(function() {
+          jar.setCookieSync('a='+'x'.repeat(5000), 'http://example.com/');
+        }, /failed to parse/);
+      },
+      "can be overridden per call": function(jar) {
+        var c = jar.setCookieSync('a='+'x'.repeat(5000), 'http://example.com/',
+                                  {mode: 'rfc6265'});
+        assert.ok(c);
+      },
+      "defaults to rfc6265": function() {
+        assert.equal(new CookieJar().parseMode, 'rfc6265');
+      },
+      "must be valid": function() {
+        assert.throws(function() {
+          return new CookieJar(null, {parseMode: 'bogus'});
+        }, /parseMode/);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,182 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+var url = 'http://example.com/index.html';
+
+function jarWithCookies() {
+  var jar = new CookieJar();
+  jar.setCookieSync('strict=1; SameSite=Strict', url);
+  jar.setCookieSync('lax=1; SameSite=Lax', url);
+  jar.setCookieSync('none=1; SameSite=None', url);
+  jar.setCookieSync('unset=1', url);
+  return jar;
+}
+
+function keysFor(sameSiteContext) {
+  return function(jar) {
+    var opts = sameSiteContext ? {sameSiteContext: sameSiteContext} : {};
+    return jar.getCookiesSync(url, opts).map(function(c) {
+      return c.key;
+    }).sort();
+  };
+}
+
+vows
+  .describe('SameSite')
+  .addBatch({
+    "Parsing": {
+      "Strict": function() {
+        var c = Cookie.parse('a=b; SameSite=Strict');
+        assert.strictEqual(c.sameSite, 'strict');
+        assert.ok(!c.extensions);
+      },
+      "lax, lower-case": function() {
+        var c = Cookie.parse('a=b; samesite=lax');
+        assert.strictEqual(c.sameSite, 'lax');
+      },
+      "None": function() {
+        var c = Cookie.parse('a=b; SameSite=None; Secure');
+        assert.strictEqual(c.sameSite, 'none');
+      },
+      "unknown value is ignored": function() {
+        var c = Cookie.parse('a=b; SameSite=Bogus');
+        assert.strictEqual(c.sameSite, null);
+        assert.ok(!c.extensions);
+      },
+      "value-less attribute is ignored": function() {
+        var c = Cookie.parse('a=b; SameSite');
+        assert.strictEqual(c.sameSite, null);
+      },
+      "last one wins": function() {
+        var c = Cookie.parse('a=b; SameSite=Lax; SameSite=Strict');
+        assert.strictEqual(c.sameSite, 'strict');
+      }
+    },
+    "Serialization": {
+      "toString canonicalizes": function() {
+        var c = Cookie.parse('a=b; samesite=strict');
+        assert.equal(c.toString(), 'a=b; SameSite=Strict');
+      },
+      "toString omits unset": function() {
+        assert.equal(Cookie.parse('a=b').toString(), 'a=b');
+      },
+      "toString keeps None": function() {
+        var c = Cookie.parse('a=b; Secure; SameSite=None');
+        assert.equal(c.toString(), 'a=b; Secure; SameSite=None');
+      },
+      "JSON round-trip": function() {
+        var c = Cookie.parse('a=b; SameSite=Lax');
+        var json = JSON.stringify(c);
+        assert.match(json, /"sameSite":"lax"/);
+        assert.strictEqual(Cookie.fromJSON(json).sameSite, 'lax');
+      },
+      "unset is not serialized": function() {
+        var json = JSON.stringify(Cookie.parse('a=b'));
+        assert.ok(!/sameSite/.test(json));
+      },
+      "jar round-trip": function() {
+        var jar = jarWithCookies();
+        var copy = CookieJar.deserializeSync(jar.serializeSync());
+        var c = copy.getCookiesSync(url).filter(function(c) {
+          return c.key === 'strict';
+        })[0];
+        assert.strictEqual(c.sameSite, 'strict');
+      }
+    }
+  })
+  .addBatch({
+    "Retrieving with sameSiteContext": {
+      topic: jarWithCookies,
+      "strict context gets everything": function(jar) {
+        assert.deepEqual(keysFor('strict')(jar), ['lax', 'none', 'strict', 'unset']);
+      },
+      "lax context skips Strict": function(jar) {
+        assert.deepEqual(keysFor('lax')(jar), ['lax', 'none', 'unset']);
+      },
+      "none context only gets unrestricted cookies": function(jar) {
+        assert.deepEqual(keysFor('none')(jar), ['none', 'unset']);
+      },
+      "no context is not enforced": function(jar) {
+        assert.deepEqual(keysFor(null)(jar), ['lax', 'none', 'strict', 'unset']);
+      },
+      "context is case-insensitive": function(jar) {
+        assert.deepEqual(keysFor('Lax')(jar), ['lax', 'none', 'unset']);
+      },
+      "invalid context is an error": function(jar) {
+        assert.throws(function() {
+          jar.getCookiesSync(url, {sameSiteContext: 'bogus'});
+        }, /sameSiteContext/);
+      }
+    }
+  })
+  .addBatch({
+    "Setting with sameSiteContext": {
+      topic: function() {
+        return new CookieJar();
+      },
+      "cross-site Strict cookie is rejected": function(jar) {
+        assert.throws(function() {
+          jar.setCookieSync('a=b; SameSite=Strict', url, {sameSiteContext: 'none'});
+        }, /SameSite/);
+      },
+      "cross-site Lax cookie is rejected": function(jar) {
+        assert.throws(function() {
+          jar.setCookieSync('a=b; SameSite=Lax', url, {sameSiteContext: 'none'});
+        }, /SameSite/);
+      },
+      "cross-site rejection honours ignoreError": function(jar) {
+        var c = jar.setCookieSync('a=b; SameSite=Lax', url,
+                                  {sameSiteContext: 'none', ignoreError: true});
+        assert.strictEqual(c, undefined);
+      },
+      "cross-site None cookie is stored": function(jar) {
+        var c = jar.setCookieSync('c=d; SameSite=None', url, {sameSiteContext: 'none'});
+        assert.strictEqual(c.sameSite, 'none');
+      },
+      "same-site Strict cookie is stored": function(jar) {
+        var c = jar.setCookieSync('e=f; SameSite=Strict', url, {sameSiteContext: 'lax'});
+        assert.strictEqual(c.sameSite, 'strict');
+      },
+      "invalid context is an error": function(jar) {
+        assert.throws(function() {
+          jar.setCookieSync('g=h', url, {sameSiteContext: 'sideways'});
+        }, /sameSiteContext/);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,131 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+var splitSetCookieString = tough.splitSetCookieString;
+
+vows
+  .describe('Splitting folded Set-Cookie headers')
+  .addBatch({
+    "splitSetCookieString": {
+      "single cookie": function() {
+        assert.deepEqual(splitSetCookieString('a=1; Path=/'), ['a=1; Path=/']);
+      },
+      "plain cookies": function() {
+        assert.deepEqual(splitSetCookieString('a=1, b=2,c=3'), ['a=1', 'b=2', 'c=3']);
+      },
+      "RFC1123 dates": function() {
+        assert.deepEqual(
+          splitSetCookieString('a=1; Expires=Wed, 09 Jun 2021 10:18:14 GMT; Path=/, b=2; Expires=Thu, 10 Jun 2021 10:18:14 GMT'),
+          ['a=1; Expires=Wed, 09 Jun 2021 10:18:14 GMT; Path=/',
+           'b=2; Expires=Thu, 10 Jun 2021 10:18:14 GMT']);
+      },
+      "RFC850 dates": function() {
+        assert.deepEqual(
+          splitSetCookieString('a=1; expires=Wednesday, 09-Jun-21 10:18:14 GMT, b=2'),
+          ['a=1; expires=Wednesday, 09-Jun-21 10:18:14 GMT', 'b=2']);
+      },
+      "dates without a weekday": function() {
+        assert.deepEqual(
+          splitSetCookieString('a=1; Expires=09 Jun 2021 10:18:14 GMT, b=2'),
+          ['a=1; Expires=09 Jun 2021 10:18:14 GMT', 'b=2']);
+      },
+      "commas inside values": function() {
+        assert.deepEqual(splitSetCookieString('a=1,2,3; Path=/, b=2'),
+                         ['a=1,2,3; Path=/', 'b=2']);
+      },
+      "empty pieces": function() {
+        assert.deepEqual(splitSetCookieString(', a=1,, ,b=2,'), ['a=1', 'b=2']);
+      },
+      "empty input": function() {
+        assert.deepEqual(splitSetCookieString(''), []);
+        assert.deepEqual(splitSetCookieString(null), []);
+      }
+    }
+  })
+  .addBatch({
+    "CookieJar.setCookies": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookies([
+          'a=1; Expires=Wed, 09 Jun 2038 10:18:14 GMT, b=2',
+          new Cookie({key: 'c', value: '3'}),
+          'a=4'
+        ], 'http://example.com/', this.callback);
+      },
+      "sets every cookie, in order": function(cookies) {
+        assert.deepEqual(cookies.map(function(c) {
+          return c.key+'='+c.value;
+        }), ['a=1', 'b=2', 'c=3', 'a=4']);
+      },
+      "parses the date": function(cookies) {
+        assert.equal(cookies[0].expires.getTime(), Date.UTC(2038, 5, 9, 10, 18, 14));
+      }
+    },
+    "CookieJar.setCookiesSync": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookiesSync('a=1; Expires=Wed, 09 Jun 2038 10:18:14 GMT, b=2', 'http://example.com/');
+        return jar.getCookieStringSync('http://example.com/');
+      },
+      "works": function(str) {
+        assert.equal(str, 'a=1; b=2');
+      }
+    },
+    "CookieJar.setCookies with an invalid cookie": {
+      topic: function() {
+        var jar = new CookieJar();
+        var result = {};
+        try {
+          jar.setCookiesSync('a=1, b=2; Domain=example.net, c=3', 'http://example.com/');
+        } catch (e) {
+          result.err = e;
+        }
+        result.stored = jar.getCookieStringSync('http://example.com/');
+        result.ignored = jar.setCookiesSync('d=4, e=5; Domain=example.net, f=6',
+                                            'http://example.com/', {ignoreError: true});
+        return result;
+      },
+      "stops at the error": function(result) {
+        assert.match(result.err.message, /domain/);
+        assert.equal(result.stored, 'a=1');
+      },
+      "or skips it with ignoreError": function(result) {
+        assert.deepEqual(result.ignored.map(function(c) { return c.key; }), ['d', 'f']);
+      }
+    }
+  })
+  .export(module);
@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2015, Salesforce.com, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice,
+ * this list of conditions and the following disclaimer.
+ *
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ * this list of conditions and the following disclaimer in the documentation
+ * and/or other materials provided with the distribution.
+ *
+ * 3. Neither the name of Salesforce.com nor the names of its contributors may
+ * be used to endorse or promote products derived from this software without
+ * specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+var vows = require('vows');
+var assert = require('assert');
+var tough = require('../lib/cookie');
+var Cookie = tough.Cookie;
+var CookieJar = tough.CookieJar;
+
+var now = new Date(Date.UTC(2030, 0, 1));
+
+vows
+  .describe('WebDriver cookies')
+  .addBatch({
+    "toWebDriver": {
+      "a domain cookie": function() {
+        var c = Cookie.parse('sid=abc; Domain=example.com; Path=/; Secure; HttpOnly; ' +
+                             'Expires=Tue, 01 Jan 2030 00:00:00 GMT; SameSite=None');
+        c.hostOnly = false;
+        assert.deepEqual(c.toWebDriver(), {
+          name: 'sid', value: 'abc', path: '/', domain: '.example.com',
+          secure: true, httpOnly: true, expiry: 1893456000, sameSite: 'None'
+        });
+      },
+      "a host-only session cookie has no domain or expiry": function() {
+        var c = new Cookie({key: 'a', value: 'b', domain: 'www.example.com', hostOnly: true});
+        assert.deepEqual(c.toWebDriver(), {
+          name: 'a', value: 'b', path: '/', secure: false, httpOnly: false
+        });
+      },
+      "expiry is a whole number of seconds": function() {
+        var c = new Cookie({key: 'a', value: 'b', maxAge: 1, creation: new Date(1500)});
+        assert.strictEqual(c.toWebDriver().expiry, 2);
+      }
+    },
+    "fromWebDriver": {
+      "a domain cookie": function() {
+        var c = Cookie.fromWebDriver({
+          name: 'sid', value: 'abc', path: '/', domain: '.Example.com',
+          secure: true, httpOnly: true, expiry: 1893456000, sameSite: 'Strict'
+        });
+        assert.equal(c.domain, 'example.com');
+        assert.isFalse(c.hostOnly);
+        assert.equal(c.expires.getTime(), 1893456000000);
+        assert.isTrue(c.secure);
+        assert.isTrue(c.httpOnly);
+        assert.equal(c.sameSite, 'strict');
+      },
+      "a host-only session cookie": function() {
+        var c = Cookie.fromWebDriver({name: 'a', value: 'b', path: '/app', domain: 'www.example.com',
+                                      secure: false, httpOnly: false});
+        assert.isTrue(c.hostOnly);
+        assert.equal(c.path, '/app');
+        assert.isFalse(c.isPersistent());
+      }
+    }
+  })
+  .addBatch({
+    "a jar with an API login": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setCookieSync('sid=abc; Domain=example.com; Path=/; Secure; HttpOnly',
+                          'https://api.example.com/login', {now: now});
+        jar.setCookieSync('api=1; Path=/', 'https://api.example.com/login', {now: now});
+        jar.setCookieSync('pref=x; Path=/settings', 'https://www.example.com/settings/a', {now: now});
+        return jar;
+      },
+      "gives the cookies to add on a page, for any path": function(jar) {
+        assert.deepEqual(jar.getWebDriverCookiesSync('https://www.example.com/'), [
+          {name: 'pref', value: 'x', path: '/settings', secure: false, httpOnly: false},
+          {name: 'sid', value: 'abc', path: '/', domain: '.example.com', secure: true, httpOnly: true}
+        ]);
+      },
+      "but not host-only cookies of other hosts": function(jar) {
+        assert.deepEqual(jar.getWebDriverCookiesSync('https://api.example.com/').map(function(c) {
+          return c.name;
+        }).sort(), ['api', 'sid']);
+      },
+      "asynchronously": {
+        topic: function(jar) {
+          jar.getWebDriverCookies('http://www.example.com/', this.callback);
+        },
+        "works, leaving out secure cookies on insecure pages": function(cookies) {
+          assert.deepEqual(cookies.map(function(c) { return c.name; }), ['pref']);
+        }
+      }
+    },
+    "setting cookies from a browser": {
+      topic: function() {
+        var jar = new CookieJar();
+        jar.setWebDriverCookiesSync([
+          {name: 'sid', value: 'abc', path: '/', domain: '.example.com', secure: true,
+           httpOnly: true, expiry: 1924992000, sameSite: 'Lax'},
+          {name: 'local', value: '1', path: '/', domain: 'www.example.com', secure: false,
+           httpOnly: false}
+        ], 'https://www.example.com/page');
+        return jar;
+      },
+      "keeps hostOnly": function(jar) {
+        assert.equal(jar.getCookieStringSync('https://www.example.com/'), 'sid=abc; local=1');
+        assert.equal(jar.getCookieStringSync('https://api.example.com/'), 'sid=abc');
+      },
+      "round-trips": function(jar) {
+        assert.deepEqual(jar.getWebDriverCookiesSync('https://www.example.com/page'), [
+          {name: 'sid', value: 'abc', path: '/', domain: '.example.com', secure: true,
+           httpOnly: true, expiry: 1924992000, sameSite: 'Lax'},
+          {name: 'local', value: '1', path: '/', secure: false, httpOnly: false}
+        ]);
+      }
+    }
+  })
+  .export(module);